@@ -0,0 +1,165 @@
+/**
+ * Batch mode for Quest 1: many addresses in one browser.
+ *
+ * Addresses come from a CSV file (an `address`/`주소` column, or the first
+ * column when there is no header), optionally with the 고유번호 to choose.
+ * They are worked off by a fixed number of workers, each with its own page,
+ * and every result is appended to a CSV manifest as soon as it is known, so
+ * a batch that dies overnight still leaves a record of what was fetched.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+// ── Input ──────────────────────────────────────────────────────────────────
+
+// Minimal RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const ADDRESS_HEADERS = ['address', '주소'];
+const UNIQUE_ID_HEADERS = ['unique_id', 'uniqueid', '고유번호'];
+
+// → [{ row, address, uniqueId }] (row: 1-based CSV row); blank rows and rows
+// starting with # are skipped
+function readAddresses(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Address file not found: ${resolved}`);
+  }
+  // Excel saves UTF-8 CSVs with a BOM
+  const rows = parseCsv(fs.readFileSync(resolved, 'utf8').replace(/^\uFEFF/, ''));
+
+  const header = rows[0]?.map((h) => h.trim().toLowerCase()) || [];
+  const column = header.findIndex((h) => ADDRESS_HEADERS.includes(h));
+  const start = column === -1 ? 0 : 1;
+  const index = Math.max(column, 0);
+  const idColumn = header.findIndex((h) => UNIQUE_ID_HEADERS.includes(h));
+
+  const addresses = [];
+  rows.slice(start).forEach((row, i) => {
+    const address = (row[index] || '').trim().replaceAll(/\s+/g, ' ');
+    const uniqueId = idColumn === -1 ? null : (row[idColumn] || '').trim() || null;
+    if (address && !address.startsWith('#')) addresses.push({ row: start + i + 1, address, uniqueId });
+  });
+  if (addresses.length === 0) {
+    throw new Error(`No addresses in ${resolved}`);
+  }
+  return addresses;
+}
+
+// ── Output names ───────────────────────────────────────────────────────────
+
+// "서울특별시 강남구 역삼동 123-45" → "서울특별시_강남구_역삼동_123-45"; Hangul is
+// kept, characters that are unsafe in file names are not
+function addressSlug(address, maxLength = 80) {
+  const slug = address
+    .normalize('NFC')
+    .replaceAll(/[\\/:*?"<>|#%&{}$!'@`=+,;]/g, ' ')
+    .trim()
+    .replaceAll(/\s+/g, '_')
+    .slice(0, maxLength);
+  return slug || 'address';
+}
+
+// A batch can list an address twice; the second one gets "-2" and so on
+function uniqueName(name, used) {
+  let candidate = name;
+  for (let n = 2; used.has(candidate); n++) candidate = `${name}-${n}`;
+  used.add(candidate);
+  return candidate;
+}
+
+// ── Manifest ───────────────────────────────────────────────────────────────
+
+const MANIFEST_COLUMNS = [
+  'row', 'address', 'uniqueId', 'status', 'file', 'pages', 'bytes', 'duration',
+  'error', 'flow', 'variants', 'finishedAt',
+];
+
+class Manifest {
+  constructor(file) {
+    this.file = file;
+    this.entries = [];
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${MANIFEST_COLUMNS.join(',')}\n`);
+  }
+
+  // entry: { row, address, uniqueId (고유번호 chosen), status: 'ok' | 'failed',
+  //   file, pages, bytes (of the verified PDF), duration (ms), error,
+  //   flow ("name@version"), variants (selector candidates matched, see
+  //   flow.js) }
+  add(entry) {
+    const record = { ...entry, finishedAt: new Date().toISOString() };
+    this.entries.push(record);
+    const cell = (v) => `"${String(v ?? '').replaceAll('"', '""')}"`;
+    fs.appendFileSync(this.file, `${MANIFEST_COLUMNS.map((c) => cell(record[c])).join(',')}\n`);
+  }
+
+  summary() {
+    const ok = this.entries.filter((e) => e.status === 'ok').length;
+    return { total: this.entries.length, ok, failed: this.entries.length - ok };
+  }
+}
+
+// ── Worker pool ────────────────────────────────────────────────────────────
+
+// Runs worker(item, workerId) over items with at most `concurrency` in flight.
+// Workers pull the next item when they finish one, so a slow address never
+// holds up the rest; worker errors are the caller's to record.
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const run = async (workerId) => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item, workerId);
+    }
+  };
+  const size = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: size }, (_, i) => run(i + 1)));
+}
+
+module.exports = {
+  parseCsv,
+  readAddresses,
+  addressSlug,
+  uniqueName,
+  Manifest,
+  runPool,
+};
@@ -45,6 +45,45 @@ module.exports = {
   OUTPUT_DIR: '../output',
   PDF_FILENAME_PREFIX: 'iros_registry_',
 
+  // Site flow: steps and selector candidates (see flow.js); relative to this directory
+  FLOW_FILE: './flows/iros.js',
+
+  // Choosing among search results (--match, see results.js)
+  MATCH: {
+    STRATEGY: 'strict', // exact | best | strict (best, but fails when ambiguous)
+    MIN_SCORE: 0.6, // fuzzy address similarity (0..1) below which nothing is chosen
+    MIN_MARGIN: 0.05, // strict: how far the best candidate must lead the runner-up
+  },
+
+  // Signing in (see session.js); credentials only ever come from the environment
+  LOGIN: {
+    URL: 'http://www.iros.go.kr/PMainJ.jsp',
+    USER_ID: process.env.QUEST1_IROS_ID || null,
+    PASSWORD: process.env.QUEST1_IROS_PASSWORD || null,
+  },
+
+  // Saved login session, encrypted with QUEST1_SESSION_KEY (or the password)
+  SESSION: {
+    FILE: '.iros-session', // in the output directory
+    KEY: process.env.QUEST1_SESSION_KEY || null,
+    MAX_AGE: 30 * 60 * 1000, // ms since the last successful use
+    DOMAIN: 'iros.go.kr', // cookies and localStorage kept
+  },
+
+  // PDF downloads (see download.js)
+  DOWNLOAD: {
+    DIR: '.downloads', // in-progress downloads, under the output directory
+    START_TIMEOUT: 15000, // ms after the click for the download to begin
+    TIMEOUT: 60000, // ms for a started download to finish
+  },
+
+  // Batch mode (--input addresses.csv)
+  BATCH: {
+    CONCURRENCY: 2, // pages (each in its own browser context) working in parallel
+    DELAY_BETWEEN: 1000, // ms a page waits before its next address
+    MANIFEST_PREFIX: 'iros_manifest_', // + run ID + .csv, in the output directory
+  },
+
   // Retry settings
   MAX_RETRIES: 3,
   RETRY_DELAY: 1000,
@@ -0,0 +1,220 @@
+/**
+ * PDF downloads for the Quest 1 RPA.
+ *
+ * Clicking 열람/발급 makes the browser download a file under a name the site
+ * chooses, at a time the site chooses. Downloads of the page's browser
+ * context (popups included) go to a private directory, the CDP download
+ * events tell when one has started and finished, and only a complete, valid
+ * PDF is moved to the output path. Anything else fails with a DownloadError
+ * that says what happened:
+ *
+ *   no-start   nothing was downloaded after the click
+ *   timeout    the download started but did not finish in time
+ *   canceled   the browser gave up on the download
+ *   html       the site sent an HTML page (an error or login page) instead
+ *   invalid    the file is missing, empty, not a PDF, or a PDF without pages
+ *
+ * A file that is not a PDF is kept next to the output path for inspection.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { PDFDocument } = require('pdf-lib');
+
+const POLL_INTERVAL = 100;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class DownloadError extends Error {
+  constructor(message, { reason, file = null, url = null }) {
+    super(message);
+    this.name = 'DownloadError';
+    this.reason = reason;
+    this.file = file;
+    this.url = url;
+  }
+}
+
+// ── Tracking ───────────────────────────────────────────────────────────────
+
+// One tracker per expected download: attach before the click, wait() after it,
+// detach() in any case (it also removes the private directory).
+//
+// The download events carry no browser context, so with batch workers every
+// tracker hears every worker's downloads. A download is only taken as this
+// tracker's once its file shows up in the tracker's own directory.
+class DownloadTracker {
+  constructor(client, dir) {
+    this.client = client;
+    this.dir = dir;
+    this.downloads = new Map(); // guid → download, whoever's it is
+
+    client.on('Browser.downloadWillBegin', (event) => {
+      this.downloads.set(event.guid, {
+        guid: event.guid,
+        url: event.url,
+        suggestedFilename: event.suggestedFilename,
+        state: 'inProgress',
+        receivedBytes: 0,
+        totalBytes: 0,
+        startedAt: Date.now(),
+        own: false,
+      });
+    });
+    client.on('Browser.downloadProgress', (event) => {
+      const download = this.downloads.get(event.guid);
+      if (!download) return;
+      Object.assign(download, {
+        state: event.state,
+        receivedBytes: event.receivedBytes,
+        totalBytes: event.totalBytes,
+      });
+    });
+  }
+
+  // Downloads are set per browser context, so each worker's files land in
+  // its own tracker's directory
+  static async attach(page, baseDir) {
+    const dir = path.join(baseDir, crypto.randomUUID());
+    fs.mkdirSync(dir, { recursive: true });
+    const client = await page.browser().target().createCDPSession();
+    const tracker = new DownloadTracker(client, dir);
+    tracker.contextId = page.browserContext().id;
+    // allowAndName saves under the download's guid, so the name is known
+    // before the file is complete
+    await client.send('Browser.setDownloadBehavior', {
+      behavior: 'allowAndName',
+      downloadPath: dir,
+      eventsEnabled: true,
+      browserContextId: tracker.contextId,
+    });
+    return tracker;
+  }
+
+  // The first download with a file (complete or partial) in this directory
+  ownDownload() {
+    const files = new Set(fs.readdirSync(this.dir).map((name) => name.replace(/\.crdownload$/, '')));
+    for (const download of this.downloads.values()) {
+      if (!download.own && files.has(download.guid)) download.own = true;
+      if (download.own) return download;
+    }
+    return null;
+  }
+
+  // → { url, suggestedFilename, file, bytes } once the download is complete
+  async wait({ startTimeout, timeout }) {
+    const start = Date.now();
+    for (;;) {
+      const d = this.ownDownload();
+      if (!d && Date.now() - start >= startTimeout) {
+        throw new DownloadError(`no download started within ${startTimeout / 1000}s of the click`, { reason: 'no-start' });
+      }
+      if (d?.state === 'completed') {
+        return {
+          url: d.url,
+          suggestedFilename: d.suggestedFilename,
+          file: path.join(this.dir, d.guid),
+          bytes: d.receivedBytes,
+        };
+      }
+      if (d?.state === 'canceled') {
+        throw new DownloadError(`download of ${d.suggestedFilename} was canceled after ${d.receivedBytes} bytes`, { reason: 'canceled', url: d.url });
+      }
+      if (d && Date.now() - d.startedAt >= timeout) {
+        const of = d.totalBytes ? ` of ${d.totalBytes}` : '';
+        throw new DownloadError(`download of ${d.suggestedFilename} did not finish within ${timeout / 1000}s (${d.receivedBytes}${of} bytes)`, { reason: 'timeout', url: d.url });
+      }
+      await sleep(POLL_INTERVAL);
+    }
+  }
+
+  async detach() {
+    await this.client.send('Browser.setDownloadBehavior', { behavior: 'default', browserContextId: this.contextId }).catch(() => {});
+    await this.client.detach().catch(() => {});
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+}
+
+// ── Verification ───────────────────────────────────────────────────────────
+
+const HTML_START = /^\s*(<!doctype\s+html|<html|<head|<body|<meta|<script|<!--)/i;
+
+// iros.go.kr still serves some pages as EUC-KR
+function decodeHtml(bytes) {
+  const head = bytes.subarray(0, 2048).toString('latin1');
+  const charset = head.match(/charset=["']?([\w-]+)/i)?.[1]?.toLowerCase();
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return bytes.toString('utf8');
+  }
+}
+
+// → { bytes, pages, version }; the %PDF- header may follow up to 1 KB of junk.
+// head is read as latin1, so a UTF-8 BOM shows up as three characters.
+async function verifyPdf(file) {
+  if (!fs.existsSync(file)) throw new DownloadError(`the downloaded file is missing (${file})`, { reason: 'invalid' });
+  const bytes = fs.readFileSync(file);
+  if (bytes.length === 0) throw new DownloadError('the downloaded file is empty', { reason: 'invalid' });
+
+  const head = bytes.subarray(0, 1024).toString('latin1');
+  if (!head.includes('%PDF-')) {
+    if (HTML_START.test(head.replace(/^\xEF\xBB\xBF/, ''))) {
+      const title = decodeHtml(bytes).match(/<title[^>]*>([^<]*)<\/title>/i)?.[1]?.replaceAll(/\s+/g, ' ').trim();
+      throw new DownloadError(`the site sent an HTML page instead of a PDF${title ? ` ("${title}")` : ''}`, { reason: 'html' });
+    }
+    throw new DownloadError(`not a PDF (starts with ${JSON.stringify(head.slice(0, 16))})`, { reason: 'invalid' });
+  }
+
+  let pages;
+  try {
+    const doc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    pages = doc.getPageCount();
+  } catch (err) {
+    throw new DownloadError(`damaged PDF: ${err.message}`, { reason: 'invalid' });
+  }
+  if (pages === 0) throw new DownloadError('the PDF has no pages', { reason: 'invalid' });
+  return { bytes: bytes.length, pages, version: head.match(/%PDF-(\d\.\d)/)?.[1] || null };
+}
+
+// ── Saving ─────────────────────────────────────────────────────────────────
+
+// iros_registry_x.pdf → iros_registry_x-rejected.html (or .bin)
+const rejectedPath = (outputPath, reason) => `${outputPath.replace(/\.pdf$/i, '')}-rejected.${reason === 'html' ? 'html' : 'bin'}`;
+
+// Verifies a finished download and moves it to outputPath (in the same
+// output directory as the tracker's, so a rename does it).
+// → { file, url, suggestedFilename, bytes, pages, version }
+async function saveDownload(download, outputPath) {
+  let info;
+  try {
+    info = await verifyPdf(download.file);
+  } catch (err) {
+    if (err instanceof DownloadError) {
+      err.url = download.url;
+      if (fs.existsSync(download.file)) {
+        err.file = rejectedPath(outputPath, err.reason);
+        fs.renameSync(download.file, err.file);
+        err.message += `, kept as ${err.file}`;
+      }
+    }
+    throw err;
+  }
+  fs.renameSync(download.file, outputPath);
+  return { file: outputPath, url: download.url, suggestedFilename: download.suggestedFilename, ...info };
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+module.exports = {
+  DownloadError,
+  DownloadTracker,
+  verifyPdf,
+  saveDownload,
+  formatSize,
+};
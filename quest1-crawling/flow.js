@@ -0,0 +1,420 @@
+/**
+ * Declarative site flows for the Quest 1 RPA.
+ *
+ * A flow file (see flows/iros.js) describes the way through the site as a list
+ * of steps: goto, find-frame, fill, click, wait and download. Steps that look
+ * for an element list their selectors as ordered candidates, newest markup
+ * first; the first candidate present wins. When iros.go.kr changes its markup,
+ * the flow file gets a new candidate and a new version, and the code stays as
+ * it is.
+ *
+ * Search results are not clicked blindly: select-result parses them into
+ * candidates and picks one by the rules in results.js. Neither are downloads
+ * taken on trust: download waits for the file and checks it (download.js).
+ *
+ * A flow can also carry login steps and a way to recognize the login page;
+ * in a signed-in run, a step that ends up there stops the run with a
+ * LoggedOutError, and session.js signs in again.
+ *
+ * Every run produces a report of which candidate each step matched, so a run
+ * that only works through an old fallback selector shows up in the logs
+ * before the old markup disappears for good.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { NoMatchError, parseResultRows, chooseCandidate, formatCandidates, saveCandidates } = require('./results');
+const { DownloadTracker, saveDownload, verifyPdf, formatSize } = require('./download');
+
+const POLL_INTERVAL = 100;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class FlowError extends Error {
+  constructor(step, message) {
+    super(`Step "${step.id}" (${step.action}): ${message}`);
+    this.name = 'FlowError';
+    this.step = step.id;
+  }
+}
+
+// The site sent the page to its login form (see the flow's loggedOut)
+class LoggedOutError extends Error {
+  constructor(step, url) {
+    super(`Logged out: step "${step.id}" ended on the login page (${url})`);
+    this.name = 'LoggedOutError';
+    this.step = step.id;
+    this.url = url;
+  }
+}
+
+// ── Loading ────────────────────────────────────────────────────────────────
+
+const SELECTOR_ACTIONS = new Set(['find-frame', 'fill', 'click']);
+
+// Where select-result saves the candidates when it cannot choose
+const candidatesPath = (outputPath) => `${outputPath.replace(/\.pdf$/i, '')}-candidates.json`;
+
+function validateSteps(name, steps, actions) {
+  if (!Array.isArray(steps) || steps.length === 0) throw new Error(`Flow "${name}" has no steps`);
+
+  const ids = new Set();
+  for (const step of steps) {
+    if (!step.id) throw new Error(`Flow "${name}": step without an id`);
+    if (ids.has(step.id)) throw new Error(`Flow "${name}": duplicate step id "${step.id}"`);
+    ids.add(step.id);
+    if (!actions[step.action]) throw new Error(`Flow "${name}" step "${step.id}": unknown action "${step.action}"`);
+    if (SELECTOR_ACTIONS.has(step.action) && !(step.selectors?.length > 0)) {
+      throw new Error(`Flow "${name}" step "${step.id}": ${step.action} needs selectors`);
+    }
+    if (step.action === 'select-result' && !(step.rows?.length > 0)) {
+      throw new Error(`Flow "${name}" step "${step.id}": select-result needs row selectors`);
+    }
+    if (step.action === 'goto' && !step.url) throw new Error(`Flow "${name}" step "${step.id}": goto needs a url`);
+    if (step.action === 'fill' && step.value === undefined) throw new Error(`Flow "${name}" step "${step.id}": fill needs a value`);
+  }
+}
+
+// login: { steps } signs in (see session.js); loggedOut: { url, selector }
+// recognizes the login page
+function validateFlow(flow, actions) {
+  if (!flow.name) throw new Error('Flow without a name');
+  if (flow.version === undefined) throw new Error(`Flow "${flow.name}" has no version`);
+  validateSteps(flow.name, flow.steps, actions);
+  if (flow.login) validateSteps(`${flow.name}:login`, flow.login.steps, actions);
+  if (flow.loggedOut && !flow.loggedOut.url && !flow.loggedOut.selector) {
+    throw new Error(`Flow "${flow.name}": loggedOut needs a url or a selector`);
+  }
+  return flow;
+}
+
+// The login steps as a flow of their own, for runFlow
+function loginFlow(flow) {
+  return { name: `${flow.name}:login`, version: flow.version, steps: flow.login.steps };
+}
+
+// Accepts a .js module or a .json file
+function loadFlow(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Flow file not found: ${resolved}`);
+  }
+  const flow = resolved.endsWith('.json')
+    ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+    : require(resolved);
+  return validateFlow({ ...flow, file: resolved }, ACTIONS);
+}
+
+// "{{address}}" → vars.address; a typo in a flow file fails loudly
+function render(template, vars) {
+  return String(template).replaceAll(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+    if (!(name in vars)) throw new Error(`Unknown flow variable {{${name}}}`);
+    return String(vars[name]);
+  });
+}
+
+// ── Element lookup ─────────────────────────────────────────────────────────
+
+// Candidates are tried in order on every poll, so a newer selector wins even
+// when an older one would also match. Invalid selectors count as no match.
+async function findCandidate(frame, selectors, timeout) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    for (const [index, selector] of selectors.entries()) {
+      const handle = await frame.$(selector).catch(() => null);
+      if (handle) return { handle, selector, index };
+    }
+    if (Date.now() >= deadline) return null;
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+async function findFrame(page, selectors, timeout) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    for (const [index, selector] of selectors.entries()) {
+      for (const frame of page.frames()) {
+        const handle = await frame.$(selector).catch(() => null);
+        if (handle) return { frame, selector, index };
+      }
+    }
+    if (Date.now() >= deadline) return null;
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+// ── Assertions ─────────────────────────────────────────────────────────────
+
+// assert: { url, selector, text, notText }; every given check must hold
+async function checkAssertions(step, state) {
+  const spec = step.assert;
+  if (!spec) return;
+  const frame = state.frame;
+
+  if (spec.url && !new RegExp(spec.url).test(frame.url())) {
+    throw new FlowError(step, `expected URL matching /${spec.url}/, got ${frame.url()}`);
+  }
+  if (spec.selector) {
+    const found = await findCandidate(frame, [].concat(spec.selector), spec.timeout ?? 0);
+    if (!found) throw new FlowError(step, `expected an element matching ${[].concat(spec.selector).join(' | ')}`);
+  }
+  if (spec.text || spec.notText) {
+    const text = await frame.evaluate(() => document.body?.innerText || '');
+    for (const expected of [].concat(spec.text || [])) {
+      if (!text.includes(expected)) throw new FlowError(step, `expected text "${expected}" on the page`);
+    }
+    for (const unexpected of [].concat(spec.notText || [])) {
+      if (text.includes(unexpected)) throw new FlowError(step, `page says "${unexpected}"`);
+    }
+  }
+}
+
+// ── Login detection ────────────────────────────────────────────────────────
+
+// Either check is enough: a login URL, or a login form in any frame
+async function isLoggedOut(spec, page) {
+  if (!spec) return false;
+  if (spec.url && new RegExp(spec.url).test(page.url())) return true;
+  if (spec.selector) {
+    for (const frame of page.frames()) {
+      if (await findCandidate(frame, [].concat(spec.selector), 0)) return true;
+    }
+  }
+  return false;
+}
+
+// ── Actions ────────────────────────────────────────────────────────────────
+
+// Each action gets (step, state) and returns what the report records for it:
+// { status: 'ok' | 'fallback' | 'skipped', selector?, candidate? }
+const ACTIONS = {
+  async goto(step, state) {
+    await state.page.goto(render(step.url, state.vars), {
+      waitUntil: step.waitUntil || 'domcontentloaded',
+      timeout: step.timeout ?? state.timeouts.navigation,
+    });
+    state.frame = state.page.mainFrame();
+    return { status: 'ok' };
+  },
+
+  // Later steps work in the first frame containing a candidate; with
+  // optional: true, a page without one keeps working in the main frame
+  async 'find-frame'(step, state) {
+    const found = await findFrame(state.page, step.selectors, step.timeout ?? state.timeouts.element);
+    if (!found) return { status: 'skipped' };
+    state.frame = found.frame;
+    return { status: 'ok', selector: found.selector, candidate: found.index, detail: found.frame.url() };
+  },
+
+  async fill(step, state) {
+    const found = await findCandidate(state.frame, step.selectors, step.timeout ?? state.timeouts.element);
+    if (!found) return { status: 'skipped' };
+    // Select what is there so typing replaces it
+    await found.handle.click({ clickCount: 3 });
+    await found.handle.type(render(step.value, state.vars), { delay: 0 });
+    state.element = found.handle;
+    return { status: 'ok', selector: found.selector, candidate: found.index };
+  },
+
+  // otherwise: { press: 'Enter' } presses a key in the last filled field when
+  // no candidate is there (a search form without a button)
+  async click(step, state) {
+    const found = await findCandidate(state.frame, step.selectors, step.timeout ?? state.timeouts.element);
+    if (found) {
+      await found.handle.click();
+      return { status: 'ok', selector: found.selector, candidate: found.index };
+    }
+    if (step.otherwise?.press && state.element) {
+      await state.element.press(step.otherwise.press);
+      return { status: 'fallback', detail: `pressed ${step.otherwise.press}` };
+    }
+    return { status: 'skipped' };
+  },
+
+  // rows: candidate selectors for the result rows; headers: field → header
+  // texts of its column; select: candidates for the clickable element within
+  // the chosen row (the row itself when none matches). No result rows, or
+  // results without a clear choice, fail with NoMatchError: whatever page is
+  // left is never taken for the property.
+  async 'select-result'(step, state) {
+    const { address, uniqueId, outputPath } = state.vars;
+    const parsed = await state.frame.evaluate(parseResultRows, step.rows, step.headers || {});
+    if (!parsed) {
+      throw new NoMatchError(`No search results for "${address}"`, { candidates: [], file: null });
+    }
+
+    const { choice, reason, ranked } = chooseCandidate(parsed.rows, { address, uniqueId, ...state.match });
+    const candidate = step.rows.indexOf(parsed.selector);
+
+    if (!choice) {
+      const file = saveCandidates(candidatesPath(outputPath), { address, uniqueId, strategy: state.match.strategy, reason, ranked });
+      state.logger.warn(`No property chosen for "${address}": ${reason}. ${ranked.length} candidates:`);
+      for (const line of formatCandidates(ranked)) state.logger.warn(line);
+      state.logger.warn(`Candidates saved to ${file}; pick one with --unique-id <고유번호>`);
+      throw new NoMatchError(`No unambiguous property for "${address}" (${reason}), candidates in ${file}`, { candidates: ranked, file });
+    }
+
+    const row = (await state.frame.$$(parsed.selector))[choice.index];
+    const target = await findCandidate(row, step.select || [], 0);
+    await (target?.handle || row).click();
+    state.property = choice;
+    state.log(`Selected [${choice.uniqueId || '고유번호 없음'}] ${choice.address} (${reason}, ${ranked.length} candidates)`);
+    return { status: 'ok', selector: parsed.selector, candidate, detail: `${choice.uniqueId || choice.address}: ${reason}` };
+  },
+
+  // for: 'navigation', selectors (any candidate appears), or ms (a fixed pause)
+  async wait(step, state) {
+    if (step.for === 'navigation') {
+      try {
+        await state.frame.waitForNavigation({
+          waitUntil: step.waitUntil || 'domcontentloaded',
+          timeout: step.timeout ?? state.timeouts.navigation,
+        });
+      } catch {
+        return { status: 'skipped' };
+      }
+      return { status: 'ok' };
+    }
+    if (step.selectors) {
+      const found = await findCandidate(state.frame, step.selectors, step.timeout ?? state.timeouts.element);
+      if (!found) return { status: 'skipped' };
+      return { status: 'ok', selector: found.selector, candidate: found.index };
+    }
+    await sleep(step.ms ?? 0);
+    return { status: 'ok' };
+  },
+
+  // Clicks the first candidate and waits for the download it starts (see
+  // download.js); the file must be a complete PDF and ends up at outputPath.
+  // Without a candidate, fallback: 'print' saves the page itself as the PDF.
+  async download(step, state) {
+    const { outputPath } = state.vars;
+    const found = await findCandidate(state.frame, step.selectors || [], step.timeout ?? 0);
+    if (found) {
+      const tracker = await DownloadTracker.attach(state.page, path.join(path.dirname(outputPath), state.downloads.dir));
+      try {
+        await found.handle.click();
+        state.log('PDF download requested, waiting for it to finish...');
+        const download = await tracker.wait(state.downloads).catch(async (err) => {
+          // The site answered in the page instead, typically with an error
+          if (err.reason === 'no-start') err.message += `; the page shows "${await state.page.title().catch(() => '')}" at ${state.page.url()}`;
+          throw err;
+        });
+        state.download = { source: 'download', ...(await saveDownload(download, outputPath)) };
+      } finally {
+        await tracker.detach();
+      }
+      state.log(`PDF downloaded -> ${outputPath} (${state.download.pages} pages, ${formatSize(state.download.bytes)})`);
+      state.result = outputPath;
+      return { status: 'ok', selector: found.selector, candidate: found.index, detail: `${state.download.pages} pages` };
+    }
+    if (step.fallback === 'print') {
+      state.log('No direct PDF link found, capturing page as PDF...');
+      await state.page.pdf({
+        path: outputPath,
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '10mm', right: '10mm', bottom: '10mm', left: '10mm' },
+      });
+      state.download = { source: 'print', file: outputPath, url: state.page.url(), ...(await verifyPdf(outputPath)) };
+      state.log(`Page captured as PDF -> ${outputPath} (${state.download.pages} pages)`);
+      state.result = outputPath;
+      return { status: 'fallback', detail: 'printed page' };
+    }
+    return { status: 'skipped' };
+  },
+};
+
+// ── Runner ─────────────────────────────────────────────────────────────────
+
+// vars: template values ({{address}}, {{uniqueId}}, {{outputPath}}, ...)
+// options: { logger, retry(fn, description, retries), timeouts: { navigation, element },
+//   match: { strategy, minScore, minMargin } (see results.js),
+//   downloads: { dir (under the output directory), startTimeout, timeout } (see download.js),
+//   loggedOut: the flow's loggedOut, when the page is meant to be signed in }
+// → { result, report: { flow, version, property, download, steps: [{ id, action, status, selector, candidate, of, duration }] } }
+async function runFlow(page, flow, vars, options) {
+  const { logger, retry } = options;
+  const state = {
+    page,
+    frame: page.mainFrame(),
+    element: null,
+    vars,
+    timeouts: options.timeouts,
+    match: options.match,
+    downloads: options.downloads,
+    result: null,
+    property: null,
+    download: null,
+    logger,
+    log: (msg) => logger.info(msg),
+  };
+  const report = { flow: flow.name, version: flow.version, property: null, download: null, steps: [] };
+
+  for (const step of flow.steps) {
+    if (step.log) logger.info(render(step.log, vars));
+    const start = Date.now();
+
+    const attempt = async () => {
+      const outcome = await ACTIONS[step.action](step, state);
+      if (outcome.status === 'skipped' && !step.optional) {
+        const tried = step.selectors ? `none of ${step.selectors.length} candidates matched` : 'did not complete';
+        throw new FlowError(step, tried);
+      }
+      // pause: ms to let the page react to a step that did something
+      if (step.pause && outcome.status !== 'skipped') await sleep(step.pause);
+      await checkAssertions(step, state);
+      return outcome;
+    };
+    let outcome;
+    try {
+      outcome = step.retries > 1
+        ? await retry(attempt, step.description || step.id, step.retries)
+        : await attempt();
+    } catch (err) {
+      // A step that failed because the page is the login form says so
+      if (await isLoggedOut(options.loggedOut, page).catch(() => false)) throw new LoggedOutError(step, page.url());
+      throw err;
+    }
+    if (await isLoggedOut(options.loggedOut, page)) throw new LoggedOutError(step, page.url());
+
+    const entry = {
+      id: step.id,
+      action: step.action,
+      status: outcome.status,
+      selector: outcome.selector ?? null,
+      candidate: outcome.candidate === undefined ? null : outcome.candidate + 1,
+      of: step.selectors?.length ?? null,
+      detail: outcome.detail ?? null,
+      duration: Date.now() - start,
+    };
+    report.steps.push(entry);
+
+    const matched = entry.selector ? ` ${entry.selector} (candidate ${entry.candidate}/${entry.of})` : '';
+    logger.debug(`  ${step.id}: ${entry.status}${matched}${entry.detail ? ` - ${entry.detail}` : ''}`);
+    if (entry.candidate > 1) {
+      logger.warn(`  ${step.id} matched fallback candidate ${entry.candidate}/${entry.of}: ${entry.selector}`);
+    }
+  }
+
+  report.property = state.property;
+  report.download = state.download;
+  return { result: state.result, report };
+}
+
+// "search-input=1 search-button=3": the candidate each selector step matched
+function variantSummary(report) {
+  return report.steps
+    .filter((s) => s.candidate !== null)
+    .map((s) => `${s.id}=${s.candidate}`)
+    .join(' ');
+}
+
+module.exports = {
+  FlowError,
+  LoggedOutError,
+  loadFlow,
+  loginFlow,
+  runFlow,
+  variantSummary,
+};
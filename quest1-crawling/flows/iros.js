@@ -0,0 +1,192 @@
+/**
+ * iros.go.kr issuance flow (see flow.js).
+ *
+ * Selector candidates are tried in order, so put new markup first and keep
+ * old variants below it until the logs stop reporting them. Bump `version`
+ * with every change; it is logged with each run and written to the batch
+ * manifest.
+ *
+ * Variables: {{address}}, {{uniqueId}}, {{outputPath}}, {{issuanceUrl}}, {{targetUrl}};
+ * in the login steps {{loginUrl}}, {{userId}} and {{password}} (never put the
+ * password in a step's log message).
+ */
+
+module.exports = {
+  name: 'iros-issuance',
+  version: 5,
+
+  // In a signed-in run, a step that ends on a page matching either of these
+  // was logged out by the site (see session.js)
+  loggedOut: {
+    url: '[Ll]ogin',
+    selector: ['input[type="password"]'],
+  },
+
+  login: {
+    steps: [
+      {
+        id: 'open-login',
+        action: 'goto',
+        log: 'Opening iros.go.kr login...',
+        description: 'Navigate to login page',
+        url: '{{loginUrl}}',
+        retries: 3,
+      },
+      {
+        id: 'login-frame',
+        action: 'find-frame',
+        selectors: ['input[type="password"]'],
+        optional: true,
+      },
+      {
+        id: 'user-id',
+        action: 'fill',
+        selectors: [
+          'input[name="user_id"]',
+          'input[name="userId"]',
+          '#id_user_id',
+          '#userId',
+          'input[type="text"]',
+        ],
+        value: '{{userId}}',
+      },
+      {
+        id: 'password',
+        action: 'fill',
+        selectors: [
+          'input[name="password"]',
+          'input[name="user_pw"]',
+          '#password',
+          'input[type="password"]',
+        ],
+        value: '{{password}}',
+      },
+      {
+        id: 'login-button',
+        action: 'click',
+        selectors: [
+          'button::-p-text(로그인)',
+          'input[type="submit"]',
+          'a::-p-text(로그인)',
+          'img[alt*="로그인"]',
+        ],
+        timeout: 0,
+        otherwise: { press: 'Enter' },
+      },
+      { id: 'login-result', action: 'wait', for: 'navigation', optional: true },
+      {
+        // Only a signed-in page offers to log out
+        id: 'logged-in',
+        action: 'wait',
+        selectors: [
+          'a::-p-text(로그아웃)',
+          'button::-p-text(로그아웃)',
+          'img[alt*="로그아웃"]',
+        ],
+      },
+    ],
+  },
+
+  steps: [
+    {
+      id: 'open-issuance',
+      action: 'goto',
+      log: 'Navigating to iros.go.kr issuance page...',
+      description: 'Navigate to issuance page',
+      url: '{{issuanceUrl}}',
+      retries: 3,
+      assert: { url: 'iros\\.go\\.kr' },
+    },
+    {
+      // The issuance page is a frameset; the form lives in one of the frames
+      id: 'form-frame',
+      action: 'find-frame',
+      log: 'Selecting document type (부동산 등기부등본)...',
+      selectors: ['form, input[type="text"], select'],
+      optional: true,
+    },
+    {
+      id: 'search-input',
+      action: 'fill',
+      log: 'Searching for address: {{address}}',
+      description: 'Search address',
+      selectors: [
+        'input[name="addr"]',
+        'input[name="address"]',
+        'input[name="sAddr"]',
+        'input[name="realAddr"]',
+        '#addr',
+        '#address',
+        'input[type="text"]',
+      ],
+      value: '{{address}}',
+      retries: 3,
+    },
+    {
+      id: 'search-button',
+      action: 'click',
+      selectors: [
+        'button[type="submit"]',
+        'input[type="submit"]',
+        'input[type="button"][value*="검색"]',
+        'a[onclick*="search"]',
+        'button::-p-text(검색)',
+        'img[alt*="검색"]',
+      ],
+      timeout: 0,
+      otherwise: { press: 'Enter' },
+    },
+    {
+      // Results may also load in place, without a navigation
+      id: 'search-results',
+      action: 'wait',
+      for: 'navigation',
+      optional: true,
+    },
+    { id: 'search-settle', action: 'wait', ms: 1000 },
+    {
+      // Result rows become candidates (address, 고유번호, type) and one is
+      // chosen by --match / --unique-id; columns are found by header text.
+      // No rows fails the run rather than printing the results page.
+      id: 'select-property',
+      action: 'select-result',
+      log: 'Selecting property from results...',
+      rows: [
+        'table.tbl_list tbody tr',
+        '.result-list tr',
+        'tr.dataRow',
+        'table tr',
+      ],
+      headers: {
+        uniqueId: ['고유번호'],
+        type: ['부동산구분', '구분', '종류'],
+        address: ['부동산 소재지번', '소재지번', '소재지', '주소'],
+      },
+      select: [
+        'a[onclick*="select"]',
+        'a[href*="detail"]',
+        'input[type="button"][value*="선택"]',
+        'button',
+        'a',
+      ],
+      pause: 1500,
+    },
+    {
+      id: 'download-pdf',
+      action: 'download',
+      log: 'Attempting to download PDF...',
+      selectors: [
+        'a[href$=".pdf"]',
+        'a[onclick*="pdf"]',
+        'a[onclick*="PDF"]',
+        'button[onclick*="pdf"]',
+        'input[value*="발급"]',
+        'a[href*="download"]',
+        'img[alt*="열람"]',
+        'img[alt*="발급"]',
+        'a::-p-text(열람)',
+      ],
+      fallback: 'print',
+    },
+  ],
+};
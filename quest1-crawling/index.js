@@ -14,6 +14,12 @@ const path = require('node:path');
 const fs = require('node:fs');
 const { program } = require('commander');
 const config = require('./config');
+const { createLogger } = require('../shared/logger');
+const { readAddresses, addressSlug, uniqueName, Manifest, runPool } = require('./batch');
+const { LoggedOutError, loadFlow, runFlow, variantSummary } = require('./flow');
+const { STRATEGIES } = require('./results');
+const { formatSize } = require('./download');
+const { SessionStore, SiteSession } = require('./session');
 
 // ── CLI Setup ──────────────────────────────────────────────────────────────
 
@@ -21,6 +27,12 @@ program
   .name('quest1-crawling')
   .description('RPA: Extract PDF data from iros.go.kr')
   .option('-a, --address <address>', 'Korean address to search', config.DEFAULT_ADDRESS)
+  .option('-i, --input <csv>', 'Batch mode: CSV of addresses (an "address" column, or one address per line)')
+  .option('-c, --concurrency <n>', 'Batch mode: pages working in parallel', String(config.BATCH.CONCURRENCY))
+  .option('--flow <file>', 'Site flow definition (.js or .json)', config.FLOW_FILE)
+  .option('--match <strategy>', `How to choose among search results: ${STRATEGIES.join(', ')}`, config.MATCH.STRATEGY)
+  .option('--unique-id <id>', 'Choose the search result with this 고유번호 (e.g. 1146-1996-123456)')
+  .option('--fresh-login', 'Ignore the saved session and sign in again (needs QUEST1_IROS_ID/QUEST1_IROS_PASSWORD)', false)
   .option('-o, --output <dir>', 'Output directory', config.OUTPUT_DIR)
   .option('--headed', 'Run browser in headed mode (visible)', false)
   .option('--slow-mo <ms>', 'Slow down operations by ms', '0')
@@ -28,19 +40,24 @@ program
 
 const opts = program.opts();
 
+if (!STRATEGIES.includes(opts.match)) {
+  program.error(`--match must be one of ${STRATEGIES.join(', ')}`);
+}
+
 // ── Helpers ────────────────────────────────────────────────────────────────
 
 const DEBUG = process.env.DEBUG === 'true';
-const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
-const debug = (msg) => { if (DEBUG) log(`[DEBUG] ${msg}`); };
+const logger = createLogger({ quest: 'quest1' });
+const log = (msg) => logger.info(msg);
+const debug = (msg) => logger.debug(msg);
 
-function getOutputPath() {
+// Single runs are named by time, batch runs by address (see batch.js)
+function getOutputPath(name = new Date().toISOString().replaceAll(/[:.]/g, '-')) {
   const outputDir = path.resolve(__dirname, opts.output);
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
-  const timestamp = new Date().toISOString().replaceAll(/[:.]/g, '-');
-  return path.join(outputDir, `${config.PDF_FILENAME_PREFIX}${timestamp}.pdf`);
+  return path.join(outputDir, `${config.PDF_FILENAME_PREFIX}${name}.pdf`);
 }
 
 function formatDuration(ms) {
@@ -65,7 +82,7 @@ async function withRetry(fn, description, retries = config.MAX_RETRIES) {
     try {
       return await fn();
     } catch (err) {
-      log(`[RETRY] ${description} - Attempt ${attempt}/${retries} failed: ${err.message}`);
+      logger.warn(`[RETRY] ${description} - Attempt ${attempt}/${retries} failed: ${err.message}`);
       if (attempt === retries) throw err;
       await new Promise((r) => setTimeout(r, config.RETRY_DELAY * attempt));
     }
@@ -110,217 +127,97 @@ async function optimizePage(page) {
   debug('Page optimized: blocking non-essential resources');
 }
 
-// ── Core RPA: Navigate iros.go.kr ──────────────────────────────────────────
-
-async function navigateToIssuance(page) {
-  log('Navigating to iros.go.kr issuance page...');
-
-  await page.goto(config.ISSUANCE_URL, {
-    waitUntil: 'domcontentloaded',
-    timeout: config.NAVIGATION_TIMEOUT,
-  });
+// ── Page Setup ─────────────────────────────────────────────────────────────
 
-  debug('Issuance page loaded');
+function browserOptions() {
+  return {
+    ...config.BROWSER_OPTIONS,
+    headless: opts.headed ? false : 'new',
+    slowMo: Number.parseInt(opts.slowMo, 10),
+  };
 }
 
-async function selectDocumentType(page) {
-  log('Selecting document type (부동산 등기부등본)...');
-
-  // The iros.go.kr site uses frames and specific form elements
-  // Wait for the main content frame to load
-  await page.waitForSelector('frame, iframe, #contents, form', {
-    timeout: config.ELEMENT_TIMEOUT,
-  }).catch(() => {
-    debug('No frame/form found on initial load, trying direct approach');
-  });
-
-  // Handle frame-based navigation common on iros.go.kr
-  const frames = page.frames();
-  debug(`Found ${frames.length} frames on page`);
+async function preparePage(page) {
+  // Optimize page for speed
+  await optimizePage(page);
 
-  let targetFrame = page;
-
-  for (const frame of frames) {
-    try {
-      const hasForm = await frame.$('form, input[type="text"], select');
-      if (hasForm) {
-        targetFrame = frame;
-        debug(`Using frame: ${frame.url()}`);
-        break;
-      }
-    } catch {
-      continue;
-    }
-  }
-
-  return targetFrame;
-}
+  // Set user agent to avoid detection
+  await page.setUserAgent(
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+    '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  );
 
-async function searchAddress(frame, address) {
-  log(`Searching for address: ${address}`);
-
-  // iros.go.kr typically has an address input field
-  // Try multiple selectors as the site structure may vary
-  const addressSelectors = [
-    'input[name="addr"]',
-    'input[name="address"]',
-    'input[name="sAddr"]',
-    'input[name="realAddr"]',
-    '#addr',
-    '#address',
-    'input[type="text"]',
-  ];
-
-  let addressInput = null;
-
-  for (const selector of addressSelectors) {
-    try {
-      addressInput = await frame.waitForSelector(selector, { timeout: 3000 });
-      if (addressInput) {
-        debug(`Found address input with selector: ${selector}`);
-        break;
-      }
-    } catch {
-      continue;
-    }
-  }
-
-  if (!addressInput) {
-    throw new Error('Could not find address input field on the page');
-  }
-
-  // Clear and type the address
-  await addressInput.click({ clickCount: 3 });
-  await addressInput.type(address, { delay: 0 });
-  debug('Address typed');
-
-  // Submit the search
-  const searchSelectors = [
-    'button[type="submit"]',
-    'input[type="submit"]',
-    'input[type="button"][value*="검색"]',
-    'a[onclick*="search"]',
-    'button:has-text("검색")',
-    'img[alt*="검색"]',
-  ];
-
-  let searchBtn = null;
-
-  for (const selector of searchSelectors) {
-    try {
-      searchBtn = await frame.$(selector);
-      if (searchBtn) {
-        debug(`Found search button with selector: ${selector}`);
-        break;
-      }
-    } catch {
-      continue;
-    }
-  }
-
-  if (searchBtn) {
-    await searchBtn.click();
-  } else {
-    // Fallback: press Enter
-    await addressInput.press('Enter');
-    debug('Pressed Enter to submit search');
-  }
-
-  // Wait for results to load
-  await frame.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: config.NAVIGATION_TIMEOUT })
-    .catch(() => debug('No navigation after search, results may load in-place'));
+  // Set extra headers
+  await page.setExtraHTTPHeaders({
+    'Accept-Language': 'ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7',
+  });
 
-  await new Promise((r) => setTimeout(r, 1000));
-  debug('Search completed');
+  return page;
 }
 
-async function selectPropertyAndDownload(page, frame) {
-  log('Selecting property from results...');
-
-  // Look for result links/rows
-  const resultSelectors = [
-    'table tr td a',
-    '.result-list a',
-    'a[href*="detail"]',
-    'a[onclick*="select"]',
-    'tr.dataRow td a',
-  ];
-
-  let resultLink = null;
-
-  for (const selector of resultSelectors) {
-    try {
-      resultLink = await frame.$(selector);
-      if (resultLink) {
-        debug(`Found result with selector: ${selector}`);
-        break;
-      }
-    } catch {
-      continue;
-    }
-  }
-
-  if (resultLink) {
-    await resultLink.click();
-    await new Promise((r) => setTimeout(r, 1500));
+// ── Core RPA: Run the site flow ────────────────────────────────────────────
+
+// Loaded once; a broken flow file fails before the browser is launched
+let flow = null;
+let session = null;
+
+const flowOptions = () => ({
+  logger,
+  retry: withRetry,
+  timeouts: { navigation: config.NAVIGATION_TIMEOUT, element: config.ELEMENT_TIMEOUT },
+  match: { strategy: opts.match, minScore: config.MATCH.MIN_SCORE, minMargin: config.MATCH.MIN_MARGIN },
+  downloads: { dir: config.DOWNLOAD.DIR, startTimeout: config.DOWNLOAD.START_TIMEOUT, timeout: config.DOWNLOAD.TIMEOUT },
+});
+
+// Credentials and the session key come from the environment (see config.js);
+// without a key there is nothing to encrypt with, so nothing is saved
+function createSession() {
+  const { USER_ID, PASSWORD } = config.LOGIN;
+  const secret = config.SESSION.KEY || PASSWORD;
+  const store = secret ? new SessionStore(path.join(path.resolve(__dirname, opts.output), config.SESSION.FILE), secret) : null;
+  if (opts.freshLogin && !(USER_ID && PASSWORD)) {
+    throw new Error('--fresh-login needs QUEST1_IROS_ID and QUEST1_IROS_PASSWORD');
   }
-
-  log('Attempting to download PDF...');
-
-  // Configure download behavior
-  const outputPath = getOutputPath();
-  const outputDir = path.dirname(outputPath);
-
-  const client = await page.createCDPSession();
-  await client.send('Page.setDownloadBehavior', {
-    behavior: 'allow',
-    downloadPath: outputDir,
+  return new SiteSession({
+    flow,
+    logger,
+    runOptions: flowOptions(),
+    credentials: USER_ID && PASSWORD ? { userId: USER_ID, password: PASSWORD } : null,
+    store,
+    loginUrl: config.LOGIN.URL,
+    domain: config.SESSION.DOMAIN,
+    maxAge: config.SESSION.MAX_AGE,
+    fresh: opts.freshLogin,
   });
+}
 
-  // Look for PDF download/view buttons
-  const pdfSelectors = [
-    'a[href$=".pdf"]',
-    'a[onclick*="pdf"]',
-    'a[onclick*="PDF"]',
-    'button[onclick*="pdf"]',
-    'input[value*="발급"]',
-    'a[href*="download"]',
-    'img[alt*="열람"]',
-    'img[alt*="발급"]',
-    'a:has-text("열람")',
-  ];
-
-  let pdfButton = null;
-
-  for (const selector of pdfSelectors) {
-    try {
-      pdfButton = await frame.$(selector);
-      if (pdfButton) {
-        debug(`Found PDF button with selector: ${selector}`);
-        break;
-      }
-    } catch {
-      continue;
-    }
-  }
-
-  if (pdfButton) {
-    await pdfButton.click();
-    await new Promise((r) => setTimeout(r, 2000));
-    log(`PDF download initiated -> ${outputDir}`);
-  } else {
-    // Fallback: try to capture the page as PDF
-    log('No direct PDF link found, capturing page as PDF...');
-    await page.pdf({
-      path: outputPath,
-      format: 'A4',
-      printBackground: true,
-      margin: { top: '10mm', right: '10mm', bottom: '10mm', left: '10mm' },
-    });
-    log(`Page captured as PDF -> ${outputPath}`);
+// The whole flow for one address → { outputPath, report }. A signed-in page
+// that lands on the login form signs in again and starts over, once.
+async function fetchRegistry(page, address, outputPath, uniqueId = null) {
+  const vars = {
+    address,
+    uniqueId: uniqueId || '',
+    outputPath,
+    issuanceUrl: config.ISSUANCE_URL,
+    targetUrl: config.TARGET_URL,
+  };
+  await session.prepare(page);
+  const run = () => runFlow(page, flow, vars, { ...flowOptions(), loggedOut: session.signedIn(page) ? flow.loggedOut : null });
+
+  let outcome;
+  try {
+    outcome = await run();
+  } catch (err) {
+    if (!(err instanceof LoggedOutError)) throw err;
+    logger.warn(`${err.message}; signing in again`);
+    await session.recover(page);
+    outcome = await run();
   }
+  await session.refresh(page);
 
-  return outputPath;
+  const { result, report } = outcome;
+  logger.info(`Flow ${flow.name} v${flow.version}: ${variantSummary(report) || 'no selector steps'}`, { flowReport: report });
+  return { outputPath: result, report };
 }
 
 // ── Main Execution ─────────────────────────────────────────────────────────
@@ -340,73 +237,138 @@ async function main() {
   let browser;
 
   try {
+    flow = loadFlow(path.resolve(__dirname, opts.flow));
+    session = createSession();
+    debug(`Flow: ${flow.file}`);
+
     // Launch browser with optimized settings
     log('Launching browser...');
     const launchStart = Date.now();
 
-    const browserOpts = {
-      ...config.BROWSER_OPTIONS,
-      headless: opts.headed ? false : 'new',
-      slowMo: Number.parseInt(opts.slowMo, 10),
-    };
-
-    browser = await puppeteer.launch(browserOpts);
+    browser = await puppeteer.launch(browserOptions());
     debug(`Browser launched in ${Date.now() - launchStart}ms`);
 
-    const page = await browser.newPage();
+    const page = await preparePage(await browser.newPage());
+    const { outputPath, report } = await fetchRegistry(page, opts.address, getOutputPath(), opts.uniqueId);
 
-    // Optimize page for speed
-    await optimizePage(page);
+    // Performance report
+    const totalDuration = Date.now() - startTime;
+    console.log('');
+    console.log('┌──────────────────────────────────────────────────────────┐');
+    console.log('│  PERFORMANCE REPORT                                      │');
+    console.log('├──────────────────────────────────────────────────────────┤');
+    console.log(`│  Total time:  ${formatDuration(totalDuration).padEnd(42)}│`);
+    console.log(`│  Target:      ≤${(config.PERFORMANCE.TARGET_MAX / 1000 + 's').padEnd(41)}│`);
+    console.log(`│  Assessment:  ${assessPerformance(totalDuration).padEnd(42)}│`);
+    console.log(`│  Flow:        ${`${flow.name} v${flow.version}`.padEnd(42)}│`);
+    if (report.property) {
+      console.log(`│  Property:    ${(report.property.uniqueId || report.property.address).padEnd(42)}│`);
+    }
+    console.log(`│  Output:      ${(outputPath || 'Check output directory').padEnd(42)}│`);
+    if (report.download) {
+      console.log(`│  PDF:         ${`${report.download.pages} pages, ${formatSize(report.download.bytes)} (${report.download.source})`.padEnd(42)}│`);
+    }
+    console.log('└──────────────────────────────────────────────────────────┘');
+    console.log('');
 
-    // Set user agent to avoid detection
-    await page.setUserAgent(
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
-      '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    );
+    log(`RPA complete in ${formatDuration(totalDuration)}: ${outputPath || 'check output directory'}`);
 
-    // Set extra headers
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7',
-    });
+  } catch (err) {
+    const totalDuration = Date.now() - startTime;
+    logger.error(`RPA failed after ${formatDuration(totalDuration)}: ${err.message}`);
+    if (DEBUG) logger.error(err.stack);
+    process.exitCode = 1;
+  } finally {
+    if (browser) {
+      await browser.close();
+      debug('Browser closed');
+    }
+  }
+}
 
-    // Step 1: Navigate to issuance page
-    await withRetry(
-      () => navigateToIssuance(page),
-      'Navigate to issuance page'
-    );
+// --input: every address through a pool of pages in one browser. Each worker
+// page lives in its own incognito context, so concurrent searches never share
+// the site's server-side session.
+async function runBatch() {
+  const startTime = Date.now();
 
-    // Step 2: Select document type
-    const targetFrame = await selectDocumentType(page);
+  let addresses;
+  try {
+    addresses = readAddresses(opts.input);
+    flow = loadFlow(path.resolve(__dirname, opts.flow));
+    session = createSession();
+  } catch (err) {
+    logger.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+  const concurrency = Math.max(1, Number.parseInt(opts.concurrency, 10) || 1);
 
-    // Step 3: Search for address
-    await withRetry(
-      () => searchAddress(targetFrame, opts.address),
-      'Search address'
-    );
+  console.log('');
+  console.log('╔══════════════════════════════════════════════════════════╗');
+  console.log('║  Quest 1: RPA Crawling - iros.go.kr PDF Extraction     ║');
+  console.log('╠══════════════════════════════════════════════════════════╣');
+  console.log(`║  Input:   ${path.basename(opts.input).padEnd(45)}║`);
+  console.log(`║  Batch:   ${`${addresses.length} addresses, ${concurrency} pages`.padEnd(45)}║`);
+  console.log('╚══════════════════════════════════════════════════════════╝');
+  console.log('');
 
-    // Step 4: Select property and download PDF
-    const outputPath = await selectPropertyAndDownload(page, targetFrame);
+  const outputDir = path.resolve(__dirname, opts.output);
+  const manifest = new Manifest(path.join(outputDir, `${config.BATCH.MANIFEST_PREFIX}${logger.runId}.csv`));
+  const used = new Set();
+  const jobs = addresses.map((entry) => ({ ...entry, outputPath: getOutputPath(uniqueName(addressSlug(entry.address), used)) }));
 
-    // Performance report
+  let browser;
+
+  try {
+    log('Launching browser...');
+    browser = await puppeteer.launch(browserOptions());
+
+    const pages = new Map(); // worker → page
+    let done = 0;
+    await runPool(jobs, concurrency, async (job, worker) => {
+      const jobStart = Date.now();
+      log(`[${done + 1}/${jobs.length}] ${job.address} (page ${worker})`);
+      try {
+        if (!pages.has(worker)) {
+          const context = await browser.createBrowserContext();
+          pages.set(worker, await preparePage(await context.newPage()));
+        }
+        const { outputPath: file, report } = await fetchRegistry(pages.get(worker), job.address, job.outputPath, job.uniqueId);
+        manifest.add({ ...job, status: 'ok', uniqueId: report.property?.uniqueId || job.uniqueId, file, pages: report.download?.pages, bytes: report.download?.bytes, duration: Date.now() - jobStart, flow: `${flow.name}@${flow.version}`, variants: variantSummary(report) });
+        log(`  OK (${formatDuration(Date.now() - jobStart)}) -> ${file}`);
+      } catch (err) {
+        manifest.add({ ...job, status: 'failed', file: null, duration: Date.now() - jobStart, error: err.message, flow: `${flow.name}@${flow.version}` });
+        logger.error(`  FAILED ${job.address}: ${err.message}`);
+        // A page left mid-flow is not trusted with the next address
+        await pages.get(worker)?.browserContext().close().catch(() => {});
+        pages.delete(worker);
+      }
+      done++;
+      await new Promise((r) => setTimeout(r, config.BATCH.DELAY_BETWEEN));
+    });
+
+    const { total, ok, failed } = manifest.summary();
     const totalDuration = Date.now() - startTime;
     console.log('');
     console.log('┌──────────────────────────────────────────────────────────┐');
-    console.log('│  PERFORMANCE REPORT                                      │');
+    console.log('│  BATCH REPORT                                            │');
     console.log('├──────────────────────────────────────────────────────────┤');
     console.log(`│  Total time:  ${formatDuration(totalDuration).padEnd(42)}│`);
-    console.log(`│  Target:      ≤${(config.PERFORMANCE.TARGET_MAX / 1000 + 's').padEnd(41)}│`);
-    console.log(`│  Assessment:  ${assessPerformance(totalDuration).padEnd(42)}│`);
-    console.log(`│  Output:      ${(outputPath || 'Check output directory').padEnd(42)}│`);
+    console.log(`│  Per address: ${formatDuration(Math.round(totalDuration / total)).padEnd(42)}│`);
+    console.log(`│  Succeeded:   ${`${ok} of ${total}`.padEnd(42)}│`);
+    console.log(`│  Failed:      ${String(failed).padEnd(42)}│`);
+    console.log(`│  Manifest:    ${path.basename(manifest.file).padEnd(42)}│`);
     console.log('└──────────────────────────────────────────────────────────┘');
     console.log('');
 
+    log(`Batch complete in ${formatDuration(totalDuration)}: ${ok}/${total} succeeded, manifest ${manifest.file}`);
+    if (failed > 0) process.exitCode = 1;
+
   } catch (err) {
-    const totalDuration = Date.now() - startTime;
-    console.error('');
-    console.error(`[ERROR] RPA failed after ${formatDuration(totalDuration)}: ${err.message}`);
-    console.error('');
-    if (DEBUG) console.error(err.stack);
-    process.exit(1);
+    logger.error(`Batch failed after ${formatDuration(Date.now() - startTime)}: ${err.message}`);
+    if (DEBUG) logger.error(err.stack);
+    process.exitCode = 1;
   } finally {
     if (browser) {
       await browser.close();
@@ -415,4 +377,8 @@ async function main() {
   }
 }
 
-main();
+if (opts.input) {
+  runBatch();
+} else {
+  main();
+}
@@ -0,0 +1,241 @@
+/**
+ * iros.go.kr search results: parsing and choosing the property.
+ *
+ * A search for an address usually lists several properties: the land, the
+ * building on it and, for 집합건물, every unit. Each result row becomes a
+ * candidate (address, 고유번호, building/unit, type), and one is chosen:
+ *
+ *   --unique-id  the candidate with that 고유번호, whatever the strategy
+ *   exact        the one candidate whose address equals the search
+ *   best         the highest fuzzy score, even when the runner-up is close
+ *   strict       the highest fuzzy score, but only when it is clearly ahead
+ *                (the default: a wrong registry is worse than none)
+ *
+ * When nothing is chosen the candidate list is printed and saved next to the
+ * PDF, so the right 고유번호 can be picked for the next run.
+ */
+
+const fs = require('node:fs');
+
+const STRATEGIES = ['exact', 'best', 'strict'];
+
+class NoMatchError extends Error {
+  constructor(message, { candidates, file }) {
+    super(message);
+    this.name = 'NoMatchError';
+    this.candidates = candidates;
+    this.file = file;
+  }
+}
+
+// ── Browser-side parsing ───────────────────────────────────────────────────
+
+// Runs inside the results frame via frame.evaluate, so it must stay
+// self-contained. rowSelectors are tried in order; headers maps a field to
+// the header texts its column may have. → { selector, rows } or null
+function parseResultRows(rowSelectors, headers) {
+  const clean = (el) => (el?.textContent || '').replaceAll(/\s+/g, ' ').trim();
+  const UNIQUE_ID = /\d{4}-\d{4}-\d{6}/;
+  const TYPE = /집합건물|건물|토지/;
+  const ADDRESS = /[가-힣]+(시|도|군|구)\s/;
+
+  for (const selector of rowSelectors) {
+    let all;
+    try {
+      all = Array.from(document.querySelectorAll(selector));
+    } catch {
+      continue;
+    }
+
+    // Column positions come from the header row of the rows' table
+    const columns = {};
+    const table = all[0]?.closest('table');
+    const headerRow = table?.querySelector('thead tr') || Array.from(table?.rows || []).find((r) => r.querySelector('th'));
+    if (headerRow) {
+      Array.from(headerRow.cells).forEach((cell, i) => {
+        const text = clean(cell);
+        for (const [field, names] of Object.entries(headers)) {
+          if (columns[field] === undefined && names.some((name) => text.includes(name))) columns[field] = i;
+        }
+      });
+    }
+
+    const rows = [];
+    all.forEach((row, index) => {
+      const cells = Array.from(row.querySelectorAll('td')).map(clean);
+      if (cells.length === 0) return;
+      const text = cells.join(' ');
+      const cell = (field) => (columns[field] === undefined ? null : cells[columns[field]] || null);
+
+      const uniqueId = cell('uniqueId')?.match(UNIQUE_ID)?.[0] || text.match(UNIQUE_ID)?.[0] || null;
+      // Without an address column, the longest cell is the address
+      const address = cell('address') || cells.reduce((a, b) => (b.length > a.length ? b : a), '');
+      if (!uniqueId && !ADDRESS.test(`${address} `)) return;
+
+      rows.push({
+        index,
+        address,
+        uniqueId,
+        type: cell('type') || text.match(TYPE)?.[0] || null,
+        cells,
+      });
+    });
+    if (rows.length > 0) return { selector, rows };
+  }
+  return null;
+}
+
+// ── Addresses ──────────────────────────────────────────────────────────────
+
+const REGIONS = {
+  서울: '서울특별시',
+  부산: '부산광역시',
+  대구: '대구광역시',
+  인천: '인천광역시',
+  광주: '광주광역시',
+  대전: '대전광역시',
+  울산: '울산광역시',
+  세종: '세종특별자치시',
+  경기: '경기도',
+  강원: '강원특별자치도',
+  충북: '충청북도',
+  충남: '충청남도',
+  전북: '전북특별자치도',
+  전남: '전라남도',
+  경북: '경상북도',
+  경남: '경상남도',
+  제주: '제주특별자치도',
+};
+
+// Comparable form: full region name, no spaces, punctuation or "제" prefixes
+function normalizeAddress(address) {
+  let text = String(address || '').normalize('NFC').trim();
+  const [first, ...rest] = text.split(/\s+/);
+  if (REGIONS[first]) text = [REGIONS[first], ...rest].join(' ');
+  return text
+    .replaceAll(/제\s*(?=[0-9A-Za-z]+\s*(동|층|호))/g, '')
+    .replaceAll(/[\s,.()[\]]/g, '');
+}
+
+// "... 역삼아이파크 제101동 제12층 제1203호" → { building: '101동', unit: '1203호' };
+// only numbered (or lettered) 동 standing on their own, after a lot number or
+// a building name: 역삼동 and 개포3동 are administrative dongs, not buildings
+function addressParts(address) {
+  const text = String(address || '');
+  const building = text.match(/(?<![가-힣0-9A-Za-z])(?:제\s*)?([0-9A-Za-z]+)\s*동(?![가-힣])/)?.[1];
+  const unit = text.match(/(?:제\s*)?(\d+)\s*호/)?.[1];
+  return {
+    building: building ? `${building}동` : null,
+    unit: unit ? `${unit}호` : null,
+  };
+}
+
+function bigrams(text) {
+  const chars = Array.from(text);
+  const result = new Map();
+  for (let i = 0; i < chars.length - 1; i++) {
+    const gram = chars[i] + chars[i + 1];
+    result.set(gram, (result.get(gram) || 0) + 1);
+  }
+  return result;
+}
+
+// Dice coefficient over character bigrams, 0..1
+function similarity(a, b) {
+  if (a === b) return 1;
+  const x = bigrams(a);
+  const y = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  for (const [gram, n] of x) {
+    overlap += Math.min(n, y.get(gram) || 0);
+    total += n;
+  }
+  for (const n of y.values()) total += n;
+  return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+// A building or unit the search names but the candidate contradicts halves
+// the score: 101동 1203호 is not 102동 1203호, however alike the text is. A
+// candidate without one (the land under the building) loses a quarter.
+function score(query, candidate) {
+  let value = similarity(normalizeAddress(query), normalizeAddress(candidate.address));
+  const wanted = addressParts(query);
+  for (const part of ['building', 'unit']) {
+    if (!wanted[part]) continue;
+    if (!candidate[part]) value *= 0.75;
+    else if (candidate[part] !== wanted[part]) value *= 0.5;
+  }
+  return Number(value.toFixed(3));
+}
+
+const digits = (id) => String(id || '').replaceAll(/\D/g, '');
+
+// ── Choosing ───────────────────────────────────────────────────────────────
+
+// rows: parseResultRows() rows. → { choice, reason, ranked }, choice null
+// when the strategy does not allow a pick; ranked is best first.
+function chooseCandidate(rows, { address, uniqueId, strategy = 'strict', minScore, minMargin }) {
+  const ranked = rows
+    .map((row) => {
+      const candidate = { ...row, ...addressParts(row.address) };
+      return { ...candidate, score: score(address, candidate) };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  if (uniqueId) {
+    const choice = ranked.find((c) => digits(c.uniqueId) === digits(uniqueId)) || null;
+    return { choice, ranked, reason: choice ? `고유번호 ${uniqueId}` : `no candidate with 고유번호 ${uniqueId}` };
+  }
+  if (ranked.length === 0) return { choice: null, ranked, reason: 'no results' };
+
+  if (strategy === 'exact') {
+    const exact = ranked.filter((c) => normalizeAddress(c.address) === normalizeAddress(address));
+    if (exact.length === 1) return { choice: exact[0], ranked, reason: 'exact address' };
+    return { choice: null, ranked, reason: exact.length === 0 ? 'no exact address match' : `${exact.length} exact address matches` };
+  }
+
+  const [best, second] = ranked;
+  if (best.score < minScore) {
+    return { choice: null, ranked, reason: `best score ${best.score} is below ${minScore}` };
+  }
+  if (strategy === 'strict' && second && best.score - second.score < minMargin) {
+    return { choice: null, ranked, reason: `ambiguous: ${best.score} vs ${second.score} for the runner-up` };
+  }
+  return { choice: best, ranked, reason: `best score ${best.score}` };
+}
+
+// ── Reporting ──────────────────────────────────────────────────────────────
+
+function formatCandidates(ranked, limit = 20) {
+  const lines = ranked.slice(0, limit).map((c, i) => {
+    const unit = [c.building, c.unit].filter(Boolean).join(' ');
+    return `  ${String(i + 1).padStart(2)}. [${c.uniqueId || '고유번호 없음'}] ${c.type || '-'} ${c.address}${unit ? ` (${unit})` : ''}  score ${c.score}`;
+  });
+  if (ranked.length > limit) lines.push(`  ... ${ranked.length - limit} more`);
+  return lines;
+}
+
+function saveCandidates(file, { address, uniqueId, strategy, reason, ranked }) {
+  const data = {
+    address,
+    uniqueId: uniqueId || null,
+    strategy,
+    reason,
+    savedAt: new Date().toISOString(),
+    candidates: ranked,
+  };
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+module.exports = {
+  STRATEGIES,
+  NoMatchError,
+  parseResultRows,
+  normalizeAddress,
+  addressParts,
+  chooseCandidate,
+  formatCandidates,
+  saveCandidates,
+};
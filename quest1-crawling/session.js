@@ -0,0 +1,284 @@
+/**
+ * Logged-in sessions on iros.go.kr.
+ *
+ * Issuing a registry needs a signed-in member. With QUEST1_IROS_ID and
+ * QUEST1_IROS_PASSWORD set, the login steps of the flow file sign in, and the
+ * session (the site's cookies and localStorage) is saved to an encrypted file
+ * in the output directory. Later runs restore it instead of signing in again
+ * until it is older than SESSION.MAX_AGE; every successful registry pushes
+ * that back, as the site's own idle timeout does. When a page still ends up
+ * on the login form mid-flow (the server ended the session early), the flow
+ * stops with a LoggedOutError and recover() signs in again.
+ *
+ * The file is AES-256-GCM with a scrypt key from QUEST1_SESSION_KEY (or the
+ * password when no key is set). A file that does not decrypt, has expired or
+ * belongs to another user is ignored, never an error.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { loginFlow, runFlow } = require('./flow');
+
+const FORMAT_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+
+// localStorage key recording which login a page's storage was restored from
+const STORAGE_MARKER = '__quest1_session';
+
+class LoginError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LoginError';
+  }
+}
+
+// ── Encrypted file ─────────────────────────────────────────────────────────
+
+function encrypt(data, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, crypto.scryptSync(secret, salt, 32), iv);
+  const body = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  return {
+    version: FORMAT_VERSION,
+    algorithm: ALGORITHM,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: body.toString('base64'),
+  };
+}
+
+// Throws when the secret is wrong or the file was altered (GCM tag mismatch)
+function decrypt(payload, secret) {
+  if (payload.version !== FORMAT_VERSION || payload.algorithm !== ALGORITHM) {
+    throw new Error(`unsupported session file format ${payload.version}`);
+  }
+  const key = crypto.scryptSync(secret, Buffer.from(payload.salt, 'base64'), 32);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(payload.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+  const body = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+  return JSON.parse(body.toString('utf8'));
+}
+
+class SessionStore {
+  constructor(file, secret) {
+    this.file = file;
+    this.secret = secret;
+  }
+
+  // → { data } or { reason } (no reason when there is simply no file)
+  load() {
+    if (!fs.existsSync(this.file)) return {};
+    try {
+      return { data: decrypt(JSON.parse(fs.readFileSync(this.file, 'utf8')), this.secret) };
+    } catch (err) {
+      return { reason: `cannot read ${path.basename(this.file)} (${err.message}; changed QUEST1_SESSION_KEY?)` };
+    }
+  }
+
+  // Owner-only, and renamed into place so a crash never leaves half a file
+  save(data) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(encrypt(data, this.secret)), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+// ── Browser state ──────────────────────────────────────────────────────────
+
+// Cookies are read and set per browser context through the browser target,
+// so batch workers (one context each) restore into their own context
+async function withBrowserSession(page, fn) {
+  const client = await page.browser().target().createCDPSession();
+  try {
+    return await fn(client, page.browserContext().id);
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+// Runs in every new document of a restored page; must stay self-contained
+function applyLocalStorage(snapshot, marker, generation) {
+  try {
+    const items = snapshot[location.origin];
+    if (!items || localStorage.getItem(marker) === generation) return;
+    for (const [key, value] of Object.entries(items)) localStorage.setItem(key, value);
+    localStorage.setItem(marker, generation);
+  } catch {
+    // about:blank and sandboxed frames have no localStorage
+  }
+}
+
+// → { cookies, localStorage: { origin: { key: value } } } for the site's domain
+async function captureState(page, domain) {
+  const cookies = await withBrowserSession(page, async (client, browserContextId) => {
+    const { cookies: all } = await client.send('Storage.getCookies', { browserContextId });
+    return all
+      .filter((c) => c.domain.replace(/^\./, '').endsWith(domain))
+      .map(({ name, value, domain: d, path: p, expires, httpOnly, secure, sameSite, session }) => ({
+        name, value, domain: d, path: p, httpOnly, secure, sameSite, ...(session ? {} : { expires }),
+      }));
+  });
+
+  const localStorage = {};
+  const storage = await page.evaluate((marker) => {
+    const items = Object.fromEntries(Object.entries(window.localStorage).filter(([key]) => key !== marker));
+    return { origin: location.origin, items };
+  }, STORAGE_MARKER).catch(() => null);
+  if (storage && storage.origin.endsWith(domain) && Object.keys(storage.items).length > 0) {
+    localStorage[storage.origin] = storage.items;
+  }
+  return { cookies, localStorage };
+}
+
+async function restoreState(page, data, scripts) {
+  const now = Date.now() / 1000;
+  const cookies = data.cookies.filter((c) => c.expires === undefined || c.expires > now);
+  await withBrowserSession(page, (client, browserContextId) => client.send('Storage.setCookies', { cookies, browserContextId }));
+
+  // A page restored twice keeps only the newer snapshot
+  const previous = scripts.get(page);
+  if (previous) await page.removeScriptToEvaluateOnNewDocument(previous).catch(() => {});
+  const { identifier } = await page.evaluateOnNewDocument(applyLocalStorage, data.localStorage, STORAGE_MARKER, String(data.loggedInAt));
+  scripts.set(page, identifier);
+}
+
+// ── Session ────────────────────────────────────────────────────────────────
+
+// options: { flow, logger, runOptions (runFlow options for the login steps),
+//   credentials: { userId, password } | null, store: SessionStore | null,
+//   loginUrl, domain, maxAge (ms), fresh (ignore the saved session) }
+class SiteSession {
+  constructor(options) {
+    Object.assign(this, options);
+    this.current = options.fresh ? null : undefined; // undefined: not loaded yet
+    this.contexts = new WeakMap(); // browser context → loggedInAt of its session, null when anonymous
+    this.scripts = new WeakMap(); // page → localStorage script identifier
+    this.pending = null; // the login in progress
+  }
+
+  // Whether the page's flow should treat the login page as an error
+  signedIn(page) {
+    return Boolean(this.contexts.get(page.browserContext()));
+  }
+
+  // Before a page's first flow: the saved session, a new login, or anonymous
+  // when there are no credentials
+  async prepare(page) {
+    if (this.contexts.has(page.browserContext())) return;
+    if (this.current === undefined) this.current = this.load();
+    if (this.current) {
+      await this.restore(page);
+    } else if (this.credentials) {
+      await this.signIn(page);
+    } else {
+      this.contexts.set(page.browserContext(), null);
+    }
+  }
+
+  // After a LoggedOutError: a login another page made meanwhile, or a new one
+  async recover(page) {
+    const had = this.contexts.get(page.browserContext());
+    if (this.pending) await this.pending.catch(() => {});
+    if (this.current && this.current.loggedInAt !== had) return this.restore(page);
+    return this.signIn(page);
+  }
+
+  // After a successful flow: the session is still good, so save it again
+  // with a new expiry (and whatever cookies the site rotated)
+  async refresh(page) {
+    const loggedInAt = this.contexts.get(page.browserContext());
+    if (!loggedInAt || loggedInAt !== this.current?.loggedInAt) return;
+    await this.save(page, loggedInAt);
+  }
+
+  // One login at a time; pages waiting on it get its session
+  async signIn(page) {
+    if (this.pending) {
+      await this.pending;
+      return this.restore(page);
+    }
+    this.pending = this.login(page);
+    try {
+      await this.pending;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  async login(page) {
+    if (!this.credentials) {
+      throw new LoginError('iros.go.kr wants a signed-in member: set QUEST1_IROS_ID and QUEST1_IROS_PASSWORD');
+    }
+    if (!this.flow.login) throw new LoginError(`Flow "${this.flow.name}" has no login steps`);
+
+    const { userId, password } = this.credentials;
+    this.logger.info(`Signing in to iros.go.kr as ${userId}...`);
+    // A wrong password comes back as an alert(), which would block the page
+    const alerts = [];
+    const onDialog = (dialog) => {
+      alerts.push(dialog.message());
+      dialog.accept().catch(() => {});
+    };
+    page.on('dialog', onDialog);
+    try {
+      await runFlow(page, loginFlow(this.flow), { loginUrl: this.loginUrl, userId, password }, this.runOptions);
+    } catch (err) {
+      const said = alerts.length > 0 ? ` (the site said: ${alerts.join(' / ')})` : '';
+      throw new LoginError(`Login as ${userId} failed: ${err.message}${said}`);
+    } finally {
+      page.off('dialog', onDialog);
+    }
+
+    const loggedInAt = Date.now();
+    await this.save(page, loggedInAt);
+    this.contexts.set(page.browserContext(), loggedInAt);
+    this.logger.info(this.store ? `Signed in; session saved to ${this.store.file}` : 'Signed in (set QUEST1_SESSION_KEY to keep the session between runs)');
+  }
+
+  async save(page, loggedInAt) {
+    const now = Date.now();
+    this.current = {
+      userId: this.credentials?.userId ?? this.current?.userId ?? null,
+      loggedInAt,
+      savedAt: now,
+      expiresAt: now + this.maxAge,
+      ...(await captureState(page, this.domain)),
+    };
+    this.store?.save(this.current);
+  }
+
+  async restore(page) {
+    await restoreState(page, this.current, this.scripts);
+    this.contexts.set(page.browserContext(), this.current.loggedInAt);
+  }
+
+  // → the saved session if it is still usable, else null
+  load() {
+    if (!this.store) return null;
+    const { data, reason } = this.store.load();
+    if (!data) {
+      if (reason) this.logger.warn(`Saved session not used: ${reason}`);
+      return null;
+    }
+    if (Date.now() >= data.expiresAt) {
+      this.logger.info(`Saved session expired at ${new Date(data.expiresAt).toISOString()}`);
+      return null;
+    }
+    if (this.credentials && data.userId !== this.credentials.userId) {
+      this.logger.info(`Saved session belongs to ${data.userId}, not ${this.credentials.userId}`);
+      return null;
+    }
+    this.logger.info(`Reusing the saved session of ${data.userId} (valid until ${new Date(data.expiresAt).toISOString()})`);
+    return data;
+  }
+}
+
+module.exports = {
+  LoginError,
+  SessionStore,
+  SiteSession,
+};
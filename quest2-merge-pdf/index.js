@@ -11,6 +11,7 @@ const { PDFDocument } = require('pdf-lib');
 const fs = require('node:fs');
 const path = require('node:path');
 const { program } = require('commander');
+const { createLogger } = require('../shared/logger');
 
 // ── CLI Setup ──────────────────────────────────────────────────────────────
 
@@ -26,6 +27,7 @@ program
   .parse(process.argv);
 
 const opts = program.opts();
+const logger = createLogger({ quest: 'quest2' });
 
 // ── Helpers ────────────────────────────────────────────────────────────────
 
@@ -147,17 +149,17 @@ async function ensureSamplePDFs() {
   const pathB = path.join(pdfDir, 'document-b.pdf');
 
   if (!fs.existsSync(pathA)) {
-    console.log('  Generating sample PDF A (10 pages)...');
+    logger.info('Generating sample PDF A (10 pages)...');
     const bytes = await generateSamplePDF(10, 'Document A');
     fs.writeFileSync(pathA, bytes);
-    console.log(`  Created: ${pathA} (${formatBytes(bytes.length)})`);
+    logger.info(`Created: ${pathA} (${formatBytes(bytes.length)})`);
   }
 
   if (!fs.existsSync(pathB)) {
-    console.log('  Generating sample PDF B (3 pages)...');
+    logger.info('Generating sample PDF B (3 pages)...');
     const bytes = await generateSamplePDF(3, 'Document B');
     fs.writeFileSync(pathB, bytes);
-    console.log(`  Created: ${pathB} (${formatBytes(bytes.length)})`);
+    logger.info(`Created: ${pathB} (${formatBytes(bytes.length)})`);
   }
 }
 
@@ -170,8 +172,8 @@ async function mergePDFs(pdfPathA, pdfPathB, outputPath, order, pagesA, pagesB)
   const bytesA = fs.readFileSync(pdfPathA);
   const bytesB = fs.readFileSync(pdfPathB);
 
-  console.log(`  PDF A: ${pdfPathA} (${formatBytes(bytesA.length)})`);
-  console.log(`  PDF B: ${pdfPathB} (${formatBytes(bytesB.length)})`);
+  logger.info(`PDF A: ${pdfPathA} (${formatBytes(bytesA.length)})`);
+  logger.info(`PDF B: ${pdfPathB} (${formatBytes(bytesB.length)})`);
 
   // Load PDFs
   const docA = await PDFDocument.load(bytesA);
@@ -180,8 +182,8 @@ async function mergePDFs(pdfPathA, pdfPathB, outputPath, order, pagesA, pagesB)
   const totalPagesA = docA.getPageCount();
   const totalPagesB = docB.getPageCount();
 
-  console.log(`  PDF A pages: ${totalPagesA}`);
-  console.log(`  PDF B pages: ${totalPagesB}`);
+  logger.info(`PDF A pages: ${totalPagesA}`);
+  logger.info(`PDF B pages: ${totalPagesB}`);
 
   // Determine page indices to copy
   const indicesA = parsePageRange(pagesA, totalPagesA);
@@ -206,11 +208,11 @@ async function mergePDFs(pdfPathA, pdfPathB, outputPath, order, pagesA, pagesB)
     for (const page of copiedPages) {
       merged.addPage(page);
     }
-    console.log(`  Copied ${copiedPages.length} pages from PDF ${label}`);
+    logger.info(`Copied ${copiedPages.length} pages from PDF ${label}`);
   }
 
   const mergedPageCount = merged.getPageCount();
-  console.log(`  Total merged pages: ${mergedPageCount}`);
+  logger.info(`Total merged pages: ${mergedPageCount}`);
 
   // Save merged PDF
   const outputDir = path.dirname(outputPath);
@@ -259,8 +261,8 @@ async function main() {
       throw new Error(`PDF B not found: ${pdfPathB}`);
     }
 
-    console.log('  Merging PDFs...');
-    console.log(`  Order: ${opts.order === 'ab' ? 'A then B' : 'B then A'}`);
+    logger.info('Merging PDFs...');
+    logger.info(`Order: ${opts.order === 'ab' ? 'A then B' : 'B then A'}`);
     console.log('');
 
     const result = await mergePDFs(
@@ -286,10 +288,12 @@ async function main() {
     console.log('└──────────────────────────────────────────────────────────┘');
     console.log('');
 
+    logger.info(`Merged ${result.totalPages} pages in ${result.duration}ms: ${result.outputPath}`);
+
   } catch (err) {
-    console.error(`\n[ERROR] ${err.message}\n`);
-    if (process.env.DEBUG === 'true') console.error(err.stack);
-    process.exit(1);
+    logger.error(err.message);
+    if (process.env.DEBUG === 'true') logger.error(err.stack);
+    process.exitCode = 1;
   }
 }
 
@@ -14,6 +14,7 @@ const pdfParse = require('pdf-parse');
 const translate = require('google-translate-api-x');
 const puppeteer = require('puppeteer');
 const { program } = require('commander');
+const { createLogger } = require('../shared/logger');
 
 // ── CLI Setup ──────────────────────────────────────────────────────────────
 
@@ -30,7 +31,8 @@ program
 
 const opts = program.opts();
 const DEBUG = process.env.DEBUG === 'true';
-const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+const logger = createLogger({ quest: 'quest3' });
+const log = (msg) => logger.info(msg);
 
 // ── Helpers ────────────────────────────────────────────────────────────────
 
@@ -209,7 +211,7 @@ async function translateText(pageTexts, sourceLang, targetLang) {
         });
         translatedChunks.push(result.text);
       } catch (err) {
-        log(`  [WARN] Translation failed for chunk, using original: ${err.message}`);
+        logger.warn(`  Translation failed for chunk, using original: ${err.message}`);
         translatedChunks.push(chunk);
       }
 
@@ -474,24 +476,16 @@ async function main() {
     // Step 1: Extract text
     const { pageTexts, totalPages } = await extractText(inputPath);
 
-    if (DEBUG) {
-      console.log('\n  --- Extracted Text Preview ---');
-      pageTexts.forEach((text, i) => {
-        console.log(`  Page ${i + 1}: ${text.substring(0, 100)}...`);
-      });
-      console.log('  ---\n');
-    }
+    pageTexts.forEach((text, i) => {
+      logger.debug(`Extracted page ${i + 1}: ${text.substring(0, 100)}...`);
+    });
 
     // Step 2: Translate
     const translatedPages = await translateText(pageTexts, opts.source, opts.target);
 
-    if (DEBUG) {
-      console.log('\n  --- Translated Text Preview ---');
-      translatedPages.forEach((text, i) => {
-        console.log(`  Page ${i + 1}: ${text.substring(0, 100)}...`);
-      });
-      console.log('  ---\n');
-    }
+    translatedPages.forEach((text, i) => {
+      logger.debug(`Translated page ${i + 1}: ${text.substring(0, 100)}...`);
+    });
 
     // Step 3: Create translated PDF
     const result = await createTranslatedPDF(translatedPages, inputPath, outputPath);
@@ -511,10 +505,12 @@ async function main() {
     console.log('└──────────────────────────────────────────────────────────┘');
     console.log('');
 
+    log(`Translation complete in ${(totalDuration / 1000).toFixed(2)}s: ${result.outputPath}`);
+
   } catch (err) {
-    console.error(`\n[ERROR] ${err.message}\n`);
-    if (DEBUG) console.error(err.stack);
-    process.exit(1);
+    logger.error(err.message);
+    if (DEBUG) logger.error(err.stack);
+    process.exitCode = 1;
   }
 }
 
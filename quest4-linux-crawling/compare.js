@@ -0,0 +1,204 @@
+/**
+ * Change detection between successive Quest 4 crawls.
+ *
+ * Each page gets a content fingerprint (a hash per tracked field plus one
+ * over all of them). Two crawl outputs are compared by URL: pages only in the
+ * new crawl are "added", pages only in the old one are "removed", and pages
+ * whose fingerprint differs get a field-level diff.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const TRACKED_FIELDS = ['title', 'headings', 'tables', 'textContent'];
+
+// ── Fingerprinting ─────────────────────────────────────────────────────────
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex').slice(0, 16);
+}
+
+// Whitespace differences are layout noise, not content changes
+function normalizeField(field, value) {
+  const squash = (s) => String(s ?? '').replaceAll(/\s+/g, ' ').trim();
+  switch (field) {
+    case 'title':
+      return squash(value);
+    case 'headings':
+      return (value || []).map((h) => `${h.tag}: ${squash(h.text)}`);
+    case 'tables':
+      // Older crawls stored tables as bare row arrays
+      return (value || []).map((table) => {
+        const rows = Array.isArray(table) ? table : [...table.headerRows, ...table.rows];
+        return rows.map((row) => row.map(squash));
+      });
+    case 'textContent':
+      return (value || []).map(squash);
+    default:
+      return value;
+  }
+}
+
+function fingerprintPage(page) {
+  const fields = {};
+  for (const field of TRACKED_FIELDS) {
+    fields[field] = hash(normalizeField(field, page[field]));
+  }
+  return { content: hash(fields), fields };
+}
+
+// ── Diffing ────────────────────────────────────────────────────────────────
+
+// Multiset difference: order changes alone are not reported
+function diffLists(before, after) {
+  const counts = new Map();
+  for (const item of before) counts.set(item, (counts.get(item) || 0) + 1);
+
+  const added = [];
+  for (const item of after) {
+    const n = counts.get(item) || 0;
+    if (n > 0) {
+      counts.set(item, n - 1);
+    } else {
+      added.push(item);
+    }
+  }
+
+  const removed = [];
+  for (const [item, n] of counts) {
+    for (let i = 0; i < n; i++) removed.push(item);
+  }
+
+  return { added, removed };
+}
+
+function diffTables(before, after) {
+  const changes = [];
+  const count = Math.max(before.length, after.length);
+  const rowKey = (row) => row.join(' | ');
+
+  for (let i = 0; i < count; i++) {
+    if (!before[i]) {
+      changes.push({ index: i, change: 'added', rows: after[i].length });
+    } else if (!after[i]) {
+      changes.push({ index: i, change: 'removed', rows: before[i].length });
+    } else if (hash(before[i]) !== hash(after[i])) {
+      const rows = diffLists(before[i].map(rowKey), after[i].map(rowKey));
+      changes.push({ index: i, change: 'modified', addedRows: rows.added, removedRows: rows.removed });
+    }
+  }
+
+  return changes;
+}
+
+function diffPage(before, after) {
+  const beforePrint = before.fingerprint || fingerprintPage(before);
+  const afterPrint = after.fingerprint || fingerprintPage(after);
+  if (beforePrint.content === afterPrint.content) return null;
+
+  const fields = {};
+  for (const field of TRACKED_FIELDS) {
+    if (beforePrint.fields[field] === afterPrint.fields[field]) continue;
+
+    const a = normalizeField(field, before[field]);
+    const b = normalizeField(field, after[field]);
+
+    if (field === 'title') {
+      fields.title = { before: a, after: b };
+    } else if (field === 'tables') {
+      fields.tables = diffTables(a, b);
+    } else {
+      fields[field] = diffLists(a, b);
+    }
+  }
+
+  return { url: after.url, fields };
+}
+
+function diffCrawls(previous, current) {
+  const prevPages = new Map(previous.pages.map((p) => [p.url, p]));
+  const currPages = new Map(current.pages.map((p) => [p.url, p]));
+
+  const added = current.pages.filter((p) => !prevPages.has(p.url)).map((p) => ({ url: p.url, title: p.title }));
+  const removed = previous.pages.filter((p) => !currPages.has(p.url)).map((p) => ({ url: p.url, title: p.title }));
+
+  const changed = [];
+  let unchanged = 0;
+  for (const page of current.pages) {
+    const old = prevPages.get(page.url);
+    if (!old) continue;
+    const diff = diffPage(old, page);
+    if (diff) {
+      changed.push(diff);
+    } else {
+      unchanged++;
+    }
+  }
+
+  return {
+    previous: previous.crawl,
+    current: current.crawl,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+    },
+    added,
+    removed,
+    changed,
+  };
+}
+
+// ── Crawl files ────────────────────────────────────────────────────────────
+
+// NDJSON streams may hold a page twice after a resume; the last record wins
+function loadNdjsonCrawl(filePath) {
+  const data = { crawl: null, pages: [], errors: [] };
+  const pages = new Map();
+
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    const { type, ...record } = JSON.parse(line);
+    if (type === 'crawl') data.crawl = record;
+    else if (type === 'page') pages.set(record.url, record);
+    else if (type === 'error') data.errors.push(record);
+    else if (type === 'summary') data.stats = record.stats;
+  }
+
+  data.pages = Array.from(pages.values());
+  return data;
+}
+
+function loadCrawl(filePath) {
+  if (filePath.endsWith('.ndjson')) return loadNdjsonCrawl(filePath);
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(data.pages)) {
+    throw new Error(`Not a crawl output file: ${filePath}`);
+  }
+  return data;
+}
+
+// Most recent crawl-<timestamp>.json (or .ndjson) in dir, ignoring the given
+// run and the side files (-errors, -changes, datasets, state) sharing the prefix
+function findLatestCrawl(dir, excludeRunId) {
+  if (!fs.existsSync(dir)) return null;
+
+  const candidates = fs.readdirSync(dir)
+    .map((name) => name.match(/^crawl-(\d{4}-\d{2}-\d{2}T[\d-]+Z)\.(json|ndjson)$/))
+    .filter((m) => m && m[1] !== excludeRunId)
+    // Same run in both formats: '.json' sorts first, so prefer it via the tiebreak
+    .sort((a, b) => a[1].localeCompare(b[1]) || b[2].localeCompare(a[2]))
+    .map((m) => m[0]);
+
+  return candidates.length > 0 ? path.join(dir, candidates.at(-1)) : null;
+}
+
+module.exports = {
+  fingerprintPage,
+  diffCrawls,
+  loadCrawl,
+  findLatestCrawl,
+};
@@ -0,0 +1,236 @@
+/**
+ * Main-content analysis for the Quest 4 crawler.
+ *
+ * extractDocument() strips the boilerplate (navigation, headers, footers,
+ * menus) and returns the main text of each document. Here that text gets a
+ * language and a 64-bit SimHash over its character shingles. Pages whose
+ * SimHashes differ in only a few bits are near-duplicates (the same notice
+ * under another URL, a print view, a list with a different sort order); they
+ * are grouped into clusters, each with one canonical representative.
+ */
+
+const crypto = require('node:crypto');
+
+// ── Language ───────────────────────────────────────────────────────────────
+
+const SCRIPTS = {
+  hangul: /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/g,
+  kana: /[\u3040-\u30ff]/g,
+  han: /[\u4e00-\u9fff]/g,
+  cyrillic: /[\u0400-\u04ff]/g,
+  latin: /[A-Za-z\u00c0-\u024f]/g,
+};
+
+// Latin-script languages are told apart by their most common words
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'for', 'that', 'with', 'on'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'den', 'von', 'zu'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'pour', 'une', 'dans', 'du'],
+  es: ['el', 'la', 'los', 'y', 'de', 'que', 'en', 'por', 'para', 'una'],
+};
+
+const count = (text, re) => text.match(re)?.length || 0;
+
+// → { language, confidence }; 'und' (undetermined) below minLength letters
+function detectLanguage(text, { minLength = 20 } = {}) {
+  const counts = Object.fromEntries(Object.entries(SCRIPTS).map(([script, re]) => [script, count(text, re)]));
+  const letters = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  if (letters < minLength) return { language: 'und', confidence: 0 };
+
+  const share = (n) => Number((n / letters).toFixed(2));
+  // Korean and Japanese text mixes in Han characters, so their own script decides
+  if (counts.hangul > 0 && counts.hangul >= counts.kana) return { language: 'ko', confidence: share(counts.hangul + counts.han) };
+  if (counts.kana > 0) return { language: 'ja', confidence: share(counts.kana + counts.han) };
+  if (counts.han >= counts.latin && counts.han >= counts.cyrillic) return { language: 'zh', confidence: share(counts.han) };
+  if (counts.cyrillic > counts.latin) return { language: 'ru', confidence: share(counts.cyrillic) };
+
+  const words = text.toLowerCase().split(/[^a-z\u00c0-\u024f]+/);
+  let best = { language: 'und', hits: 0 };
+  for (const [language, stopwords] of Object.entries(STOPWORDS)) {
+    const set = new Set(stopwords);
+    const hits = words.filter((w) => set.has(w)).length;
+    if (hits > best.hits) best = { language, hits };
+  }
+  return { language: best.language, confidence: best.hits > 0 ? share(counts.latin) : 0 };
+}
+
+// ── SimHash ────────────────────────────────────────────────────────────────
+
+// Character shingles work for Korean, where particles glue onto words and
+// whitespace tokens of the same sentence rarely repeat
+function shingles(text, size) {
+  const squashed = text.toLowerCase().replaceAll(/[\s\p{P}]+/gu, ' ').trim();
+  const chars = Array.from(squashed);
+  if (chars.length <= size) return chars.length > 0 ? [squashed] : [];
+  const result = [];
+  for (let i = 0; i <= chars.length - size; i++) result.push(chars.slice(i, i + size).join(''));
+  return result;
+}
+
+// 64-bit SimHash as 16 hex digits, or null when there is no text
+function simhash(text, { shingleSize = 5 } = {}) {
+  const features = shingles(text, shingleSize);
+  if (features.length === 0) return null;
+
+  const weights = new Array(64).fill(0);
+  for (const feature of features) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    for (let bit = 0; bit < 64; bit++) {
+      const set = (digest[bit >> 3] >> (7 - (bit & 7))) & 1;
+      weights[bit] += set ? 1 : -1;
+    }
+  }
+
+  let hex = '';
+  for (let nibble = 0; nibble < 16; nibble++) {
+    let value = 0;
+    for (let bit = 0; bit < 4; bit++) value = (value << 1) | (weights[nibble * 4 + bit] > 0 ? 1 : 0);
+    hex += value.toString(16);
+  }
+  return hex;
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// Everything the page record keeps about its main content
+function analyzeContent(mainContent, { shingleSize, minLength, maxLength }) {
+  const text = mainContent?.text || '';
+  const { language, confidence } = detectLanguage(text);
+  return {
+    text: text.slice(0, maxLength),
+    length: text.length,
+    frame: mainContent?.frame || null,
+    language,
+    languageConfidence: confidence,
+    // Short texts hash alike no matter what they say
+    simhash: text.length >= minLength ? simhash(text, { shingleSize }) : null,
+  };
+}
+
+// ── Near-duplicate clusters ────────────────────────────────────────────────
+
+// Splits the 16 hex digits into maxDistance + 1 bands. Hashes within
+// maxDistance bits differ in at most maxDistance bands, so they share at
+// least one, and only pages sharing a band are ever compared.
+function bands(hash, maxDistance) {
+  const n = Math.min(maxDistance + 1, hash.length);
+  const result = [];
+  for (let i = 0; i < n; i++) {
+    const start = Math.floor((i * hash.length) / n);
+    const end = Math.floor(((i + 1) * hash.length) / n);
+    result.push(`${i}:${hash.slice(start, end)}`);
+  }
+  return result;
+}
+
+// The page others name as canonical, then the shallowest, then the shortest URL
+function pickCanonical(members) {
+  const named = new Set(members.map((p) => p.canonical).filter(Boolean));
+  return [...members].sort((a, b) => (named.has(b.url) - named.has(a.url))
+    || ((a.depth ?? Infinity) - (b.depth ?? Infinity))
+    || (a.url.length - b.url.length)
+    || a.url.localeCompare(b.url))[0];
+}
+
+// pages: crawl output pages (full records or summaries, both carry content.simhash)
+function findNearDuplicates(pages, { maxDistance = 3 } = {}) {
+  const hashed = pages.filter((p) => p.content?.simhash);
+
+  // Union-find over pages that are within maxDistance of each other
+  const parent = hashed.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const buckets = new Map();
+  hashed.forEach((page, i) => {
+    for (const band of bands(page.content.simhash, maxDistance)) {
+      if (!buckets.has(band)) buckets.set(band, []);
+      buckets.get(band).push(i);
+    }
+  });
+  const compared = new Set();
+  for (const members of buckets.values()) {
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        const key = `${members[a]} ${members[b]}`;
+        if (compared.has(key)) continue;
+        compared.add(key);
+        if (hammingDistance(hashed[members[a]].content.simhash, hashed[members[b]].content.simhash) <= maxDistance) {
+          parent[find(members[a])] = find(members[b]);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  hashed.forEach((page, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(page);
+  });
+
+  const clusters = Array.from(groups.values())
+    .filter((members) => members.length > 1)
+    .map((members) => {
+      const canonical = pickCanonical(members);
+      return {
+        canonical: canonical.url,
+        title: canonical.title || null,
+        size: members.length,
+        pages: members
+          .map((p) => ({
+            url: p.url,
+            title: p.title || null,
+            depth: p.depth ?? null,
+            distance: hammingDistance(canonical.content.simhash, p.content.simhash),
+          }))
+          .sort((a, b) => a.distance - b.distance || a.url.localeCompare(b.url)),
+      };
+    })
+    .sort((a, b) => b.size - a.size || a.canonical.localeCompare(b.canonical));
+
+  const duplicatePages = clusters.reduce((sum, c) => sum + c.size - 1, 0);
+  return {
+    summary: {
+      hashedPages: hashed.length,
+      clusters: clusters.length,
+      duplicatePages,
+      uniquePages: hashed.length - duplicatePages,
+      maxDistance,
+    },
+    clusters,
+  };
+}
+
+// url → canonical URL, for every non-canonical member of a cluster
+function duplicateIndex(report) {
+  const index = new Map();
+  for (const cluster of report?.clusters || []) {
+    for (const page of cluster.pages) {
+      if (page.url !== cluster.canonical) index.set(page.url, cluster.canonical);
+    }
+  }
+  return index;
+}
+
+module.exports = {
+  detectLanguage,
+  simhash,
+  hammingDistance,
+  analyzeContent,
+  findNearDuplicates,
+  duplicateIndex,
+};
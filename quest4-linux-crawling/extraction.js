@@ -0,0 +1,296 @@
+/**
+ * Declarative extraction profiles for the Quest 4 crawler.
+ *
+ * A profile matches URLs by pattern and declares named fields. Each field is
+ * read in the browser (CSS selector or XPath, text or attribute, single value
+ * or list), post-processed in Node (trim, number, date, ...) and validated
+ * against the field's type, so every page type yields typed records that can
+ * be exported as a dataset of their own.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+// ── Loading & matching ─────────────────────────────────────────────────────
+
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
+function validateProfiles(profiles) {
+  const names = new Set();
+  for (const profile of profiles) {
+    if (!profile.name) throw new Error('Extraction profile without a name');
+    if (names.has(profile.name)) throw new Error(`Duplicate extraction profile: ${profile.name}`);
+    names.add(profile.name);
+    if (!profile.match) throw new Error(`Profile "${profile.name}" has no match pattern`);
+
+    for (const [field, spec] of Object.entries(profile.fields || {})) {
+      if (!spec.selector && !spec.xpath) {
+        throw new Error(`Profile "${profile.name}" field "${field}" needs a selector or xpath`);
+      }
+      for (const name of [].concat(spec.transform || [])) {
+        if (!TRANSFORMS[name]) {
+          throw new Error(`Profile "${profile.name}" field "${field}": unknown transform "${name}"`);
+        }
+      }
+      if (spec.type && !TYPE_CHECKS[spec.type]) {
+        throw new Error(`Profile "${profile.name}" field "${field}": unknown type "${spec.type}"`);
+      }
+    }
+  }
+  return profiles;
+}
+
+// Accepts a .js module or a .json file exporting an array of profiles
+function loadProfiles(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Extraction profiles not found: ${resolved}`);
+  }
+  const profiles = resolved.endsWith('.json')
+    ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+    : require(resolved);
+  return validateProfiles(profiles.map((p) => ({ ...p, match: [].concat(p.match).map(toRegExp) })));
+}
+
+// First profile wins, so list specific patterns before broad ones
+function matchProfile(profiles, url) {
+  return profiles.find((p) => p.match.some((re) => re.test(url))) || null;
+}
+
+// ── Browser-side extraction ────────────────────────────────────────────────
+
+// Runs inside page.evaluate: must stay self-contained.
+// → { values, baseUrl }: relative URLs in a frame are relative to the frame
+function readFieldsInPage(fields) {
+  const read = (node, attr) => {
+    if (!attr || attr === 'text') return (node.textContent || '').trim();
+    if (attr === 'html') return node.innerHTML;
+    return node.getAttribute ? node.getAttribute(attr) : null;
+  };
+
+  const select = (spec) => {
+    if (spec.xpath) {
+      const snapshot = document.evaluate(spec.xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      return Array.from({ length: snapshot.snapshotLength }, (_, i) => snapshot.snapshotItem(i));
+    }
+    return Array.from(document.querySelectorAll(spec.selector));
+  };
+
+  const out = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    try {
+      const values = select(spec).map((node) => read(node, spec.attr));
+      out[name] = spec.list ? values : (values[0] ?? null);
+    } catch (err) {
+      out[name] = { __error: err.message };
+    }
+  }
+  return { values: out, baseUrl: document.baseURI };
+}
+
+// ── Post-processing ────────────────────────────────────────────────────────
+
+function parseDate(value) {
+  // 2024-01-15, 2024.01.15, 2024/1/15, 2024년 1월 15일 (time part optional)
+  const m = value.match(/(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})\s*일?(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!m) {
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+  }
+  const [, y, mo, d, h, mi, sec] = m;
+  const pad = (n) => String(n).padStart(2, '0');
+  const date = `${y}-${pad(mo)}-${pad(d)}`;
+  return h ? `${date}T${pad(h)}:${mi}:${pad(sec || 0)}` : date;
+}
+
+function resolveUrl(value, baseUrl) {
+  try {
+    return new URL(value.trim(), baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+// Each transform gets (value, baseUrl) and returns the new value or null;
+// baseUrl is that of the document (page or frame) the value was read from
+const TRANSFORMS = {
+  trim: (v) => v.trim(),
+  collapse: (v) => v.replaceAll(/\s+/g, ' ').trim(),
+  lowercase: (v) => v.toLowerCase(),
+  uppercase: (v) => v.toUpperCase(),
+  // "1,234원" → 1234
+  number: (v) => {
+    const m = v.replaceAll(',', '').match(/-?\d+(\.\d+)?/);
+    return m ? Number(m[0]) : null;
+  },
+  integer: (v) => {
+    const m = v.replaceAll(',', '').match(/-?\d+/);
+    return m ? Number.parseInt(m[0], 10) : null;
+  },
+  date: parseDate,
+  boolean: (v) => /^(true|yes|y|1|on|예|있음)$/i.test(v.trim()),
+  url: resolveUrl,
+};
+
+// Transforms chain on strings; once a value is typed (or null) the chain stops
+function applyTransforms(value, names, baseUrl) {
+  let out = value;
+  for (const name of names) {
+    if (typeof out !== 'string') break;
+    out = TRANSFORMS[name](out, baseUrl);
+  }
+  return out;
+}
+
+// ── Validation ─────────────────────────────────────────────────────────────
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  date: (v) => typeof v === 'string' && !Number.isNaN(Date.parse(v)),
+  url: (v) => typeof v === 'string' && /^https?:\/\//.test(v),
+};
+
+function validateValue(name, spec, value, errors) {
+  const isEmpty = (v) => v === null || v === undefined || v === '';
+
+  if (spec.list) {
+    if (spec.required && value.length === 0) errors.push(`${name}: required list is empty`);
+    if (spec.minItems && value.length < spec.minItems) errors.push(`${name}: expected at least ${spec.minItems} items, got ${value.length}`);
+    value.forEach((v, i) => validateValue(`${name}[${i}]`, { ...spec, list: false, required: false }, v, errors));
+    return;
+  }
+
+  if (isEmpty(value)) {
+    if (spec.required) errors.push(`${name}: required value missing`);
+    return;
+  }
+  if (spec.type && !TYPE_CHECKS[spec.type](value)) {
+    errors.push(`${name}: expected ${spec.type}, got ${JSON.stringify(value)}`);
+  }
+  if (spec.pattern && !toRegExp(spec.pattern).test(String(value))) {
+    errors.push(`${name}: ${JSON.stringify(value)} does not match ${spec.pattern}`);
+  }
+}
+
+// Turns the raw browser values into a typed, validated record. bases holds
+// the base URL of each value read from a frame (see mergeFrameValues); the
+// others are resolved against the page URL.
+function buildRecord(profile, raw, url, bases = {}) {
+  const fields = {};
+  const errors = [];
+
+  for (const [name, spec] of Object.entries(profile.fields)) {
+    let value = raw[name];
+
+    if (value && value.__error) {
+      errors.push(`${name}: selector failed (${value.__error})`);
+      value = spec.list ? [] : null;
+    }
+
+    const transforms = [].concat(spec.transform || ['trim']);
+    value = spec.list
+      ? (value || []).map((v, i) => applyTransforms(v, transforms, bases[name]?.[i] || url)).filter((v) => v !== null && v !== '')
+      : applyTransforms(value, transforms, bases[name] || url);
+
+    validateValue(name, spec, value, errors);
+    fields[name] = value;
+  }
+
+  return { profile: profile.name, fields, valid: errors.length === 0, errors };
+}
+
+// Browser-safe copy of the field specs (RegExps don't survive page.evaluate)
+function serializeFields(profile) {
+  const fields = {};
+  for (const [name, spec] of Object.entries(profile.fields)) {
+    fields[name] = { selector: spec.selector, xpath: spec.xpath, attr: spec.attr, list: Boolean(spec.list) };
+  }
+  return fields;
+}
+
+// Frame values merge in document order: lists concatenate, single values
+// come from the first frame that has one. → { raw, bases }, bases giving the
+// base URL each value was read under (one per item for lists).
+function mergeFrameValues(fields, perFrame) {
+  const raw = {};
+  const bases = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const read = perFrame.map(({ values, baseUrl }) => ({ value: values[name], baseUrl }));
+    const failed = read.find(({ value }) => value && value.__error)?.value;
+    const ok = read.filter(({ value }) => !(value && value.__error));
+    if (spec.list) {
+      raw[name] = ok.length > 0 || !failed ? ok.flatMap(({ value }) => value) : failed;
+      bases[name] = ok.flatMap(({ value, baseUrl }) => value.map(() => baseUrl));
+    } else {
+      const first = ok.find(({ value }) => value !== null && value !== '');
+      raw[name] = first ? first.value : (failed || null);
+      bases[name] = first?.baseUrl ?? null;
+    }
+  }
+  return { raw, bases };
+}
+
+// Evaluated in the main frame and every child frame, so profiles work on
+// framesets without knowing which frame holds the content
+async function extractWithProfile(page, profile, url) {
+  const fields = serializeFields(profile);
+  const perFrame = [];
+  for (const frame of page.frames()) {
+    if (frame !== page.mainFrame() && (!frame.url() || frame.url() === 'about:blank')) continue;
+    try {
+      perFrame.push(await frame.evaluate(readFieldsInPage, fields));
+    } catch {
+      // Detached or cross-origin frames that refuse evaluation are skipped
+    }
+  }
+  const { raw, bases } = mergeFrameValues(fields, perFrame);
+  return buildRecord(profile, raw, url, bases);
+}
+
+// ── Dataset export ─────────────────────────────────────────────────────────
+
+function describeSchema(profile) {
+  const schema = {};
+  for (const [name, spec] of Object.entries(profile.fields)) {
+    schema[name] = {
+      type: spec.type || 'string',
+      list: Boolean(spec.list),
+      required: Boolean(spec.required),
+    };
+  }
+  return schema;
+}
+
+function buildDatasets(profiles, pages) {
+  const datasets = new Map(profiles.map((p) => [p.name, {
+    profile: p.name,
+    schema: describeSchema(p),
+    records: [],
+    invalid: 0,
+  }]));
+
+  for (const page of pages) {
+    const extracted = page.extracted;
+    if (!extracted) continue;
+    const dataset = datasets.get(extracted.profile);
+    if (!dataset) continue;
+    dataset.records.push({ url: page.url, valid: extracted.valid, errors: extracted.errors, ...extracted.fields });
+    if (!extracted.valid) dataset.invalid++;
+  }
+
+  return Array.from(datasets.values()).filter((d) => d.records.length > 0);
+}
+
+module.exports = {
+  loadProfiles,
+  matchProfile,
+  extractWithProfile,
+  buildRecord,
+  buildDatasets,
+  parseDate,
+};
@@ -0,0 +1,267 @@
+/**
+ * HTTP-only fast path for the Quest 4 crawler.
+ *
+ * Static pages are fetched with plain HTTP and parsed with jsdom (page
+ * scripts are never run). The parsed documents are wrapped in a StaticPage
+ * that offers the small part of Puppeteer's Page/Frame API the extractors
+ * use (mainFrame, frames, evaluate, url, name, parentFrame), so exactly the
+ * same extraction runs on both engines. Framesets are followed by fetching
+ * each frame's document too.
+ *
+ * needsBrowser() looks for signs that a page only works with JavaScript; the
+ * crawler then escalates that page to Chromium.
+ */
+
+const { JSDOM } = require('jsdom');
+const { HttpError } = require('./ratelimit');
+
+// ── Static page (Puppeteer-compatible subset) ──────────────────────────────
+
+// JSON round trip mirrors Puppeteer's serialization and drops jsdom objects
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class StaticFrame {
+  constructor(dom, frameName = '', parent = null) {
+    this.dom = dom;
+    this.frameName = frameName;
+    this.parent = parent;
+  }
+
+  url() {
+    return this.dom.window.location.href;
+  }
+
+  name() {
+    return this.frameName;
+  }
+
+  parentFrame() {
+    return this.parent;
+  }
+
+  // The function is re-created inside the window, so `document`, `Node` and
+  // `XPathResult` resolve to this frame's globals as they would in Chromium
+  async evaluate(fn, ...args) {
+    const inWindow = this.dom.window.eval(`(${fn.toString()})`);
+    return clone(inWindow(...clone(args)));
+  }
+}
+
+class StaticPage {
+  constructor(frames) {
+    this.frameList = frames;
+  }
+
+  mainFrame() {
+    return this.frameList[0];
+  }
+
+  frames() {
+    return this.frameList;
+  }
+
+  async close() {
+    for (const frame of this.frameList) frame.dom.window.close();
+  }
+}
+
+// ── Fetching ───────────────────────────────────────────────────────────────
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 20;
+
+// undici reports "fetch failed"; the cause has the useful code
+function wrapFetchError(err) {
+  const detail = err.cause?.code || err.cause?.message;
+  const wrapped = new Error(detail ? `${err.message} (${detail})` : err.message);
+  wrapped.cause = err.cause;
+  return wrapped;
+}
+
+// Only the response is read here; status handling is left to the caller.
+// Redirects are followed hop by hop so the chain can be reported.
+// fetchImpl is swapped for the WARC recorder or replayer (see warc.js).
+// A POST body is sent urlencoded, as a form would send it.
+async function fetchDocument(url, { userAgent, headers = {}, timeout, fetchImpl = fetch, method = 'GET', body: formBody = null }) {
+  const signal = AbortSignal.timeout(timeout);
+  const redirects = [];
+  let current = url;
+  let request = { method, body: formBody };
+  let res;
+  for (;;) {
+    try {
+      res = await fetchImpl(current, {
+        method: request.method,
+        headers: {
+          'User-Agent': userAgent,
+          ...headers,
+          ...(request.body === null ? {} : { 'Content-Type': 'application/x-www-form-urlencoded' }),
+        },
+        ...(request.body === null ? {} : { body: request.body }),
+        redirect: 'manual',
+        signal,
+      });
+    } catch (err) {
+      throw wrapFetchError(err);
+    }
+
+    const location = res.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(res.status) || !location) break;
+    if (redirects.length >= MAX_REDIRECTS) {
+      throw wrapFetchError(new TypeError('fetch failed', { cause: new Error('redirect count exceeded') }));
+    }
+    redirects.push({ url: current, status: res.status });
+    await res.body?.cancel();
+    current = new URL(location, current).toString();
+    // Browsers turn a POST into a GET after 301/302/303; 307/308 repeat it
+    if (![307, 308].includes(res.status)) request = { method: 'GET', body: null };
+  }
+
+  const contentType = res.headers.get('content-type') || '';
+  const isHtml = HTML_TYPES.some((t) => contentType.toLowerCase().startsWith(t));
+  // A PDF or video goes to Chromium anyway, so don't download it twice
+  if (!isHtml) await res.body?.cancel();
+  return {
+    status: res.status,
+    headers: Object.fromEntries(res.headers),
+    finalUrl: current,
+    redirects,
+    contentType,
+    isHtml,
+    body: isHtml ? Buffer.from(await res.arrayBuffer()) : Buffer.alloc(0),
+  };
+}
+
+// jsdom sniffs the charset (header, BOM, <meta charset>), so EUC-KR pages decode correctly
+function parseDocument(doc) {
+  return new JSDOM(doc.body, {
+    url: doc.finalUrl,
+    contentType: doc.contentType,
+    // Lets evaluate() run our extractors; the page's own scripts stay inert
+    runScripts: 'outside-only',
+  });
+}
+
+// ── Escalation heuristics ──────────────────────────────────────────────────
+
+const APP_ROOTS = '#root, #app, #__next, [ng-app], [data-reactroot], [data-v-app]';
+const NOSCRIPT_WARNING = /(enable|requires?|turn on)\s+javascript|javascript\s+(is\s+)?(required|disabled)|자바스크립트/i;
+
+// Returns the reason the document looks script-driven, or null
+function needsBrowser(document, options) {
+  const scripts = Array.from(document.querySelectorAll('script'));
+
+  const refresh = document.querySelector('meta[http-equiv="refresh" i]');
+  if (refresh) return 'meta refresh redirect';
+
+  const noscript = Array.from(document.querySelectorAll('noscript')).find((el) => NOSCRIPT_WARNING.test(el.textContent));
+  if (noscript) return 'noscript asks for JavaScript';
+
+  const appRoot = document.querySelector(APP_ROOTS);
+  if (appRoot && appRoot.children.length === 0) return 'empty single-page-app root';
+
+  // Framesets carry no text of their own; their frames are checked separately
+  if (!document.querySelector('frameset') && scripts.length > 0) {
+    const body = document.body?.cloneNode(true);
+    body?.querySelectorAll('script, style, noscript').forEach((el) => el.remove());
+    const textLength = (body?.textContent || '').replaceAll(/\s+/g, ' ').trim().length;
+    if (textLength < options.minTextLength) return `only ${textLength} characters of text`;
+  }
+
+  const anchors = Array.from(document.querySelectorAll('a'));
+  if (anchors.length >= 5) {
+    const scripted = anchors.filter((a) => /^\s*javascript:/i.test(a.getAttribute('href') || '') || a.hasAttribute('onclick'));
+    const ratio = scripted.length / anchors.length;
+    if (ratio > options.maxJsLinkRatio) return `${Math.round(ratio * 100)}% of links run JavaScript`;
+  }
+
+  for (const script of scripts) {
+    const marker = options.scriptMarkers.find((re) => re.test(script.textContent));
+    if (marker) return `inline script matches ${marker}`;
+  }
+
+  return null;
+}
+
+// ── Fast path ──────────────────────────────────────────────────────────────
+
+class FastPath {
+  constructor(options = {}) {
+    this.browserUrls = options.browserUrls || [];
+    this.httpUrls = options.httpUrls || [];
+    this.heuristics = {
+      minTextLength: options.minTextLength ?? 200,
+      maxJsLinkRatio: options.maxJsLinkRatio ?? 0.5,
+      scriptMarkers: options.scriptMarkers || [],
+    };
+    this.maxFrames = options.maxFrames ?? 10;
+    this.fetch = options.fetch || fetch;
+    // 'http' never escalates: script-driven pages are extracted as served
+    this.escalate = options.escalate !== false;
+  }
+
+  // Returns the reason a URL must go to the browser without trying HTTP first
+  routeByUrl(url) {
+    if (this.httpUrls.some((re) => re.test(url))) return null;
+    const pattern = this.browserUrls.find((re) => re.test(url));
+    return pattern ? `URL matches ${pattern}` : null;
+  }
+
+  // → { page, statusCode, redirects, finalUrl } or { escalate: reason };
+  // HTTP errors throw HttpError. Frames are requests of their own: acquire(url)
+  // waits for the rate limiter before each one, and a frame isAllowed(url)
+  // rejects (robots.txt) is left out. The caller throttles the page itself.
+  async load(url, options) {
+    // The method and body are for the page itself, never for its frames
+    const { method, body, acquire = null, isAllowed = () => true, ...rest } = options;
+    const fetchOptions = { fetchImpl: this.fetch, ...rest };
+    const doc = await fetchDocument(url, { ...fetchOptions, method, body });
+    if (doc.status >= 400) throw new HttpError(doc.status, doc.headers);
+    if (!doc.isHtml) return { escalate: `content-type ${doc.contentType || 'missing'}` };
+
+    const forced = this.httpUrls.some((re) => re.test(url));
+    const frames = [];
+    try {
+      frames.push(new StaticFrame(parseDocument(doc)));
+
+      // Breadth-first over nested framesets, like the browser would load them
+      for (let i = 0; i < frames.length; i++) {
+        const frame = frames[i];
+        const reason = needsBrowser(frame.dom.window.document, this.heuristics);
+        if (reason && this.escalate && !forced) {
+          const where = i === 0 ? '' : ` (frame ${frame.url()})`;
+          await new StaticPage(frames).close();
+          return { escalate: `${reason}${where}` };
+        }
+
+        const children = Array.from(frame.dom.window.document.querySelectorAll('frame[src], iframe[src]'));
+        for (const el of children) {
+          if (frames.length > this.maxFrames) break;
+          const src = el.getAttribute('src').trim();
+          if (!src || src === 'about:blank' || /^javascript:/i.test(src)) continue;
+          const frameUrl = new URL(src, frame.dom.window.document.baseURI).toString();
+          if (!/^https?:/.test(frameUrl) || !isAllowed(frameUrl)) continue;
+
+          if (acquire) await acquire(frameUrl);
+          const child = await fetchDocument(frameUrl, fetchOptions);
+          // A broken frame is left out, as an empty frame would be in the browser
+          if (child.status >= 400 || !child.isHtml) continue;
+          frames.push(new StaticFrame(parseDocument(child), el.getAttribute('name') || '', frame));
+        }
+      }
+    } catch (err) {
+      await new StaticPage(frames).close();
+      throw err;
+    }
+
+    return { page: new StaticPage(frames), statusCode: doc.status, redirects: doc.redirects, finalUrl: doc.finalUrl };
+  }
+}
+
+module.exports = {
+  FastPath,
+  StaticPage,
+  StaticFrame,
+  needsBrowser,
+};
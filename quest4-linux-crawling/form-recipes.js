@@ -0,0 +1,32 @@
+/**
+ * Form recipes for iros.go.kr (see forms.js); enable with --forms ./form-recipes.js
+ *
+ * A recipe applies to pages whose URL fits `match` and submits one of their
+ * forms. Options:
+ *   form             which form: { name, id, action (regex), index }; default the first
+ *   values           fixed field values ({ field: value or [values] })
+ *   enumerate        fields tried one value at a time: 'options' (every select
+ *                    option with a value) or a list of values; several fields
+ *                    are combined (every combination is one submission)
+ *   maxSubmissions   cap for this recipe (default FORMS.MAX_SUBMISSIONS)
+ * Other fields keep the form's defaults (hidden inputs, selected options).
+ */
+
+module.exports = [
+  {
+    // Notice board search, once per search condition (title, content, ...)
+    name: 'notice-search',
+    match: [/\/(notice|bbs)[^/]*\.(jsp|do)/i],
+    form: { action: /(notice|bbs)/i },
+    values: { searchWrd: '등기' },
+    enumerate: { searchCnd: 'options' },
+    maxSubmissions: 10,
+  },
+  {
+    // Result pages 2-5 of the notice list
+    name: 'notice-pages',
+    match: [/\/(notice|bbs)[^/]*\.(jsp|do)/i],
+    form: { name: 'listForm' },
+    enumerate: { pageIndex: ['2', '3', '4', '5'] },
+  },
+];
@@ -0,0 +1,189 @@
+/**
+ * Form discovery and form recipes for the Quest 4 crawler.
+ *
+ * extractDocument() records every form on a page: action, method and fields
+ * (with select options and checkbox/radio states). A recipe tells the crawler
+ * how to submit one of them: fixed values for some fields and, optionally,
+ * fields whose values are enumerated (every option of a select, or a list).
+ * Each combination becomes one submission, crawled like a link one level
+ * deeper; the submitted parameters are recorded on the result page.
+ *
+ * GET submissions are ordinary URLs. POST results all share the action URL,
+ * so they are recorded under "<action>#post:<body>", which keeps every
+ * submission a record of its own in all sinks. Fields are sent UTF-8 encoded.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+// ── Loading & matching ─────────────────────────────────────────────────────
+
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
+function validateRecipes(recipes) {
+  const names = new Set();
+  for (const recipe of recipes) {
+    if (!recipe.name) throw new Error('Form recipe without a name');
+    if (names.has(recipe.name)) throw new Error(`Duplicate form recipe: ${recipe.name}`);
+    names.add(recipe.name);
+    if (!recipe.match) throw new Error(`Form recipe "${recipe.name}" has no match pattern`);
+
+    for (const [field, values] of Object.entries(recipe.enumerate || {})) {
+      if (values !== 'options' && !Array.isArray(values)) {
+        throw new Error(`Form recipe "${recipe.name}" field "${field}": enumerate takes 'options' or a list of values`);
+      }
+    }
+  }
+  return recipes;
+}
+
+// Accepts a .js module or a .json file exporting an array of recipes
+function loadRecipes(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Form recipes not found: ${resolved}`);
+  }
+  const recipes = resolved.endsWith('.json')
+    ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+    : require(resolved);
+  return validateRecipes(recipes.map((r) => ({
+    ...r,
+    match: [].concat(r.match).map(toRegExp),
+    form: r.form?.action ? { ...r.form, action: toRegExp(r.form.action) } : r.form,
+  })));
+}
+
+// Unlike extraction profiles, every matching recipe applies
+function matchRecipes(recipes, url) {
+  return recipes.filter((r) => r.match.some((re) => re.test(url)));
+}
+
+// recipe.form picks the form by name, id, action pattern or index; without it
+// the page's first form is used
+function findForm(recipe, forms) {
+  const spec = recipe.form;
+  if (!spec) return forms[0] || null;
+  return forms.find((form) => {
+    if (spec.name !== undefined && form.name !== spec.name) return false;
+    if (spec.id !== undefined && form.id !== spec.id) return false;
+    if (spec.action && !spec.action.test(form.action)) return false;
+    if (spec.index !== undefined && form.index !== spec.index) return false;
+    return true;
+  }) || null;
+}
+
+// ── Submissions ────────────────────────────────────────────────────────────
+
+// What the browser would send for the form as it stands: checked boxes,
+// selected options (the first one when none is), no buttons or files
+function defaultEntries(form) {
+  const entries = [];
+  for (const field of form.fields) {
+    if (field.disabled) continue;
+    if (['submit', 'button', 'reset', 'image', 'file'].includes(field.type)) continue;
+    if (['checkbox', 'radio'].includes(field.type)) {
+      if (field.checked) entries.push([field.name, field.value || 'on']);
+    } else if (field.tag === 'select') {
+      const selected = field.options.filter((o) => o.selected);
+      const values = selected.length > 0 || field.multiple ? selected : field.options.slice(0, 1);
+      for (const option of values) entries.push([field.name, option.value]);
+    } else {
+      entries.push([field.name, field.value]);
+    }
+  }
+  return entries;
+}
+
+// 'options' means every select option with a value ("선택" placeholders have none)
+function enumeratedValues(form, name, values) {
+  if (Array.isArray(values)) return values.map(String);
+  const field = form.fields.find((f) => f.name === name && f.tag === 'select');
+  if (!field) return [];
+  return field.options.map((o) => o.value).filter((v) => v !== '');
+}
+
+// Cartesian product of the enumerated fields, first field varying slowest
+function* combinations(lists, prefix = []) {
+  if (lists.length === 0) {
+    yield prefix;
+    return;
+  }
+  const [[name, values], ...rest] = lists;
+  for (const value of values) yield* combinations(rest, [...prefix, [name, value]]);
+}
+
+function withValues(entries, overrides) {
+  const names = new Set(overrides.map(([name]) => name));
+  const kept = entries.filter(([name]) => !names.has(name));
+  const added = overrides.flatMap(([name, value]) => [].concat(value).map((v) => [name, String(v)]));
+  return [...kept, ...added];
+}
+
+function postKey(action, body) {
+  return `${action}#post:${body}`;
+}
+
+// Repeated names (multi-selects, checkbox groups) become arrays
+function paramsObject(entries) {
+  const params = {};
+  for (const [name, value] of entries) {
+    if (!(name in params)) params[name] = value;
+    else params[name] = [].concat(params[name], value);
+  }
+  return params;
+}
+
+// Yields { url, form: { recipe, method, action, body, params } } per
+// combination; lazily, as enumerations multiply quickly
+function* planSubmissions(recipe, form) {
+  const base = withValues(defaultEntries(form), Object.entries(recipe.values || {}));
+  const lists = Object.entries(recipe.enumerate || {}).map(([name, values]) => [name, enumeratedValues(form, name, values)]);
+
+  for (const combination of combinations(lists)) {
+    const entries = withValues(base, combination);
+    const query = new URLSearchParams(entries).toString();
+    const submitted = { recipe: recipe.name, method: form.method, action: form.action, body: null, params: paramsObject(entries) };
+
+    if (form.method === 'POST') {
+      yield { url: form.action, form: { ...submitted, body: query } };
+    } else {
+      // A GET submission replaces the action's query string, as in the browser
+      const url = new URL(form.action);
+      url.search = query;
+      url.hash = '';
+      yield { url: url.href, form: submitted };
+    }
+  }
+}
+
+// ── Browser-side ───────────────────────────────────────────────────────────
+
+// Runs inside page.evaluate on about:blank: a real form submission, so the
+// POST (and any redirect after it) goes through Chromium's own navigation
+function submitPostForm(action, body) {
+  const form = document.createElement('form');
+  form.method = 'post';
+  form.action = action;
+  form.acceptCharset = 'UTF-8';
+  for (const [name, value] of new URLSearchParams(body)) {
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = value;
+    form.appendChild(input);
+  }
+  document.body.appendChild(form);
+  HTMLFormElement.prototype.submit.call(form);
+}
+
+module.exports = {
+  loadRecipes,
+  matchRecipes,
+  findForm,
+  defaultEntries,
+  planSubmissions,
+  postKey,
+  submitPostForm,
+};
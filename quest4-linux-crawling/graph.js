@@ -0,0 +1,236 @@
+/**
+ * Link graph analysis for the Quest 4 crawler.
+ *
+ * The links collected from every crawled page become a directed graph keyed
+ * by normalized URL. The report lists broken links with the pages that link
+ * to them, redirect chains, orphan pages (crawled, but linked from no other
+ * crawled page, e.g. only found through a sitemap) and in/out-degree
+ * rankings. The graph itself is exported as DOT (Graphviz) and GraphML
+ * (Gephi, yEd).
+ */
+
+// ── Graph ──────────────────────────────────────────────────────────────────
+
+// Node status: crawled | broken | skipped | uncrawled | external
+function addNode(nodes, url, status) {
+  if (!nodes.has(url)) {
+    nodes.set(url, { url, status, inLinks: new Set(), outLinks: new Set() });
+  }
+  return nodes.get(url);
+}
+
+// kind: link | frame | form
+function addEdge(nodes, edges, from, to, { kind = 'link', text = null } = {}) {
+  nodes.get(from).outLinks.add(to);
+  nodes.get(to).inLinks.add(from);
+
+  const key = `${from}\n${to}`;
+  const edge = edges.get(key) || { from, to, count: 0, text: null, kind };
+  edge.count++;
+  edge.text = edge.text || text;
+  edges.set(key, edge);
+}
+
+// crawl: a crawl output ({ crawl, pages, errors, skipped }).
+// normalize and isInternal come from the crawl's scope rules.
+function buildLinkGraph(crawl, { normalize = (url) => url, isInternal = () => true, includeExternal = false } = {}) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  for (const page of crawl.pages) {
+    const node = addNode(nodes, page.url, 'crawled');
+    Object.assign(node, {
+      title: page.title || null,
+      depth: page.depth ?? null,
+      statusCode: page.statusCode ?? null,
+      redirects: page.redirects || null,
+      finalUrl: page.finalUrl || null,
+    });
+  }
+  for (const error of crawl.errors || []) {
+    Object.assign(addNode(nodes, error.url, 'broken'), { statusCode: error.statusCode ?? null, error: error.error });
+  }
+  for (const skipped of crawl.skipped || []) {
+    Object.assign(addNode(nodes, skipped.url, 'skipped'), { reason: skipped.reason });
+  }
+
+  for (const page of crawl.pages) {
+    for (const link of page.links || []) {
+      let target;
+      let internal;
+      try {
+        target = normalize(link.href);
+        internal = target && isInternal(target);
+      } catch {
+        target = null;
+      }
+      // Self-links say nothing about structure
+      if (!target || target === page.url) continue;
+      if (!internal && !includeExternal) continue;
+
+      addNode(nodes, target, internal ? 'uncrawled' : 'external');
+      addEdge(nodes, edges, page.url, target, { kind: link.kind, text: link.text?.trim() || null });
+    }
+
+    // A form result (a GET result URL or an <action>#post:<body> key) is
+    // linked from nowhere; it was reached by submitting the form on its page
+    const formPage = page.form?.page;
+    if (formPage && formPage !== page.url && nodes.has(formPage)) {
+      addEdge(nodes, edges, formPage, page.url, { kind: 'form', text: page.form.recipe || null });
+    }
+  }
+
+  return { nodes, edges, seeds: [crawl.crawl?.targetUrl].filter(Boolean).map(normalize) };
+}
+
+// ── Report ─────────────────────────────────────────────────────────────────
+
+function anchorTexts(graph, target) {
+  return Array.from(graph.nodes.get(target).inLinks, (from) => ({
+    url: from,
+    text: graph.edges.get(`${from}\n${target}`)?.text || null,
+  }));
+}
+
+function linkGraphReport(graph, { topN = 20 } = {}) {
+  const nodes = Array.from(graph.nodes.values());
+  const crawled = nodes.filter((n) => n.status === 'crawled');
+  const byUrl = (a, b) => a.url.localeCompare(b.url);
+
+  const brokenLinks = nodes
+    .filter((n) => n.status === 'broken')
+    .map((n) => ({ url: n.url, statusCode: n.statusCode, error: n.error, referrers: anchorTexts(graph, n.url) }))
+    .sort((a, b) => b.referrers.length - a.referrers.length || byUrl(a, b));
+
+  const redirectChains = crawled
+    .filter((n) => n.redirects?.length > 0)
+    .map((n) => ({
+      url: n.url,
+      finalUrl: n.finalUrl,
+      hops: n.redirects.length,
+      chain: [...n.redirects, { url: n.finalUrl, status: n.statusCode }],
+      referrers: n.inLinks.size,
+    }))
+    .sort((a, b) => b.hops - a.hops || byUrl(a, b));
+
+  // The seed has no referrer by definition
+  const orphans = crawled
+    .filter((n) => n.inLinks.size === 0 && !graph.seeds.includes(n.url))
+    .map((n) => ({ url: n.url, title: n.title, depth: n.depth }))
+    .sort(byUrl);
+
+  const rank = (degree) => crawled
+    .map((n) => ({ url: n.url, title: n.title, count: degree(n) }))
+    .sort((a, b) => b.count - a.count || byUrl(a, b))
+    .slice(0, topN);
+
+  const count = (status) => nodes.filter((n) => n.status === status).length;
+  return {
+    summary: {
+      nodes: graph.nodes.size,
+      edges: graph.edges.size,
+      crawled: crawled.length,
+      broken: brokenLinks.length,
+      brokenReferrers: brokenLinks.reduce((sum, b) => sum + b.referrers.length, 0),
+      redirects: redirectChains.length,
+      orphans: orphans.length,
+      uncrawled: count('uncrawled'),
+      skipped: count('skipped'),
+      external: count('external'),
+    },
+    brokenLinks,
+    redirectChains,
+    orphans,
+    topInDegree: rank((n) => n.inLinks.size),
+    topOutDegree: rank((n) => n.outLinks.size),
+    nodes: nodes.map(({ inLinks, outLinks, ...rest }) => ({ ...rest, inDegree: inLinks.size, outDegree: outLinks.size })),
+    edges: Array.from(graph.edges.values()),
+  };
+}
+
+// ── Export ─────────────────────────────────────────────────────────────────
+
+const NODE_COLORS = {
+  crawled: '#ffffff',
+  broken: '#f8d7da',
+  skipped: '#e2e3e5',
+  uncrawled: '#e2e3e5',
+  external: '#d1ecf1',
+};
+
+// Short label: title when there is one, else the path
+function nodeLabel(node) {
+  const { pathname, search } = new URL(node.url);
+  return (node.title || `${pathname}${search}`).slice(0, 40);
+}
+
+function toDot(report, name = 'crawl') {
+  const quote = (s) => `"${String(s).replaceAll('\\', '\\\\').replaceAll('"', '\\"').replaceAll('\n', ' ')}"`;
+  const orphans = new Set(report.orphans.map((o) => o.url));
+  const lines = [
+    `digraph ${quote(name)} {`,
+    '  rankdir=LR;',
+    '  node [shape=box, style=filled, fontsize=10];',
+    '  edge [color="#888888"];',
+  ];
+  for (const node of report.nodes) {
+    const attrs = [`label=${quote(nodeLabel(node))}`, `tooltip=${quote(node.url)}`, `fillcolor=${quote(NODE_COLORS[node.status])}`];
+    if (node.status === 'broken') attrs.push('color="#c82333"');
+    if (node.redirects?.length > 0) attrs.push('peripheries=2');
+    if (orphans.has(node.url)) attrs.push('style="filled,dashed"');
+    lines.push(`  ${quote(node.url)} [${attrs.join(', ')}];`);
+  }
+  for (const edge of report.edges) {
+    const attrs = edge.count > 1 ? [`penwidth=${Math.min(1 + Math.log2(edge.count), 5).toFixed(1)}`] : [];
+    if (edge.kind === 'frame') attrs.push('style=dashed');
+    if (edge.kind === 'form') attrs.push('style=dotted');
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attrs.length > 0 ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+const NODE_KEYS = [
+  ['label', 'string'], ['url', 'string'], ['title', 'string'], ['status', 'string'],
+  ['statusCode', 'int'], ['depth', 'int'], ['inDegree', 'int'], ['outDegree', 'int'],
+  ['orphan', 'boolean'], ['finalUrl', 'string'],
+];
+const EDGE_KEYS = [['count', 'int'], ['text', 'string'], ['kind', 'string']];
+
+function toGraphML(report, name = 'crawl') {
+  const xml = (s) => String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+  const data = (values, keys) => keys
+    .filter(([key]) => values[key] !== null && values[key] !== undefined)
+    .map(([key]) => `<data key="${key}">${xml(values[key])}</data>`)
+    .join('');
+
+  const orphans = new Set(report.orphans.map((o) => o.url));
+  const ids = new Map(report.nodes.map((node, i) => [node.url, `n${i}`]));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...NODE_KEYS.map(([key, type]) => `  <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`),
+    ...EDGE_KEYS.map(([key, type]) => `  <key id="${key}" for="edge" attr.name="${key}" attr.type="${type}"/>`),
+    `  <graph id="${xml(name)}" edgedefault="directed">`,
+  ];
+  for (const node of report.nodes) {
+    const values = { ...node, label: nodeLabel(node), orphan: orphans.has(node.url) };
+    lines.push(`    <node id="${ids.get(node.url)}">${data(values, NODE_KEYS)}</node>`);
+  }
+  report.edges.forEach((edge, i) => {
+    lines.push(`    <edge id="e${i}" source="${ids.get(edge.from)}" target="${ids.get(edge.to)}">${data(edge, EDGE_KEYS)}</edge>`);
+  });
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  buildLinkGraph,
+  linkGraphReport,
+  toDot,
+  toGraphML,
+};
@@ -0,0 +1,83 @@
+/**
+ * PID lock files for the Quest 4 crawler.
+ *
+ * A lock is a small JSON file ({ pid, hostname, startedAt }) created with
+ * O_EXCL, so only one process can hold it. A lock left behind by a process
+ * that no longer exists on this host is treated as stale and taken over.
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Exit code of a crawl that found the output dir locked (EX_TEMPFAIL)
+const LOCKED_EXIT_CODE = 75;
+
+function isAlive(holder) {
+  // Can't probe processes on another machine sharing the directory
+  if (holder.hostname !== os.hostname()) return true;
+  try {
+    process.kill(holder.pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+class RunLock {
+  constructor(file) {
+    this.file = file;
+    this.held = false;
+    this.heldBy = null;
+    this.onExit = () => this.release();
+  }
+
+  holder() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Returns false (and sets heldBy) when another live process holds the lock
+  acquire() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const info = { pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(this.file, JSON.stringify(info), { flag: 'wx' });
+        this.held = true;
+        this.heldBy = null;
+        // process.exit() skips finally blocks, so release from the exit hook too
+        process.once('exit', this.onExit);
+        return true;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        const holder = this.holder();
+        if (holder && isAlive(holder)) {
+          this.heldBy = holder;
+          return false;
+        }
+        fs.rmSync(this.file, { force: true });
+      }
+    }
+    return false;
+  }
+
+  release() {
+    if (!this.held) return;
+    this.held = false;
+    process.removeListener('exit', this.onExit);
+    // Never remove a lock that was taken over by someone else
+    if (this.holder()?.pid === process.pid) {
+      fs.rmSync(this.file, { force: true });
+    }
+  }
+}
+
+module.exports = {
+  RunLock,
+  LOCKED_EXIT_CODE,
+};
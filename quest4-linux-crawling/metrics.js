@@ -0,0 +1,230 @@
+/**
+ * Health reporting for the Quest 4 crawler.
+ *
+ * Every run ends with a `last-run.json` status file built from
+ * CrawlResult.stats. The same numbers can be scraped in Prometheus text
+ * format from a small local HTTP server: live counters while a crawl runs,
+ * or last-run and schedule metrics from the long-running scheduler. Runs that
+ * fail, fail too many pages or take too long are posted to a webhook.
+ */
+
+const fs = require('node:fs');
+const http = require('node:http');
+
+// ── Run status ─────────────────────────────────────────────────────────────
+
+function buildRunStatus(crawler, status, error = null) {
+  const { result } = crawler;
+  const { stats } = result;
+  const endTime = result.endTime || Date.now();
+  const attempted = stats.successfulPages + stats.failedPages;
+
+  return {
+    runId: crawler.runId,
+    status,
+    error,
+    targetUrl: crawler.baseUrl,
+    startTime: new Date(result.startTime).toISOString(),
+    endTime: new Date(endTime).toISOString(),
+    durationSeconds: Number(((endTime - result.startTime) / 1000).toFixed(2)),
+    pages: { crawled: stats.successfulPages, failed: stats.failedPages, skipped: stats.skippedPages },
+    failureRatio: attempted > 0 ? Number((stats.failedPages / attempted).toFixed(4)) : 0,
+    stats,
+    output: crawler.outputBase,
+    alerts: [],
+  };
+}
+
+// Written via rename so a scraper never reads a half-written file
+function writeStatusFile(file, status) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(status, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function readStatusFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// ── Alerts ─────────────────────────────────────────────────────────────────
+
+function checkAlerts(status, { maxFailureRatio, maxDurationSeconds }) {
+  const alerts = [];
+  if (status.status === 'failed') {
+    alerts.push({ rule: 'crawlFailed', message: `Crawl failed: ${status.error || 'unknown error'}` });
+  }
+  if (maxFailureRatio !== null && status.failureRatio > maxFailureRatio) {
+    alerts.push({
+      rule: 'failureRatio',
+      value: status.failureRatio,
+      threshold: maxFailureRatio,
+      message: `${status.pages.failed} of ${status.pages.crawled + status.pages.failed} pages failed (${(status.failureRatio * 100).toFixed(1)}%)`,
+    });
+  }
+  if (maxDurationSeconds !== null && status.durationSeconds > maxDurationSeconds) {
+    alerts.push({
+      rule: 'duration',
+      value: status.durationSeconds,
+      threshold: maxDurationSeconds,
+      message: `Crawl took ${status.durationSeconds}s (limit ${maxDurationSeconds}s)`,
+    });
+  }
+  return alerts;
+}
+
+// `text` makes the payload readable as-is by Slack-style incoming webhooks
+async function sendAlert(webhookUrl, run, alerts, { timeout = 10000 } = {}) {
+  const text = [`Quest 4 crawl ${run.runId || ''} on ${run.targetUrl || 'unknown target'}:`, ...alerts.map((a) => `• ${a.message}`)].join('\n');
+  const res = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text, alerts, run }),
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (!res.ok) {
+    throw new Error(`Webhook responded ${res.status}`);
+  }
+}
+
+// ── Prometheus exposition ──────────────────────────────────────────────────
+
+function escapeLabel(value) {
+  return String(value).replaceAll('\\', '\\\\').replaceAll('\n', '\\n').replaceAll('"', '\\"');
+}
+
+// families: [{ name, help, type, samples: [{ labels?, value }] }]
+function formatMetrics(families) {
+  const lines = [];
+  for (const { name, help, type, samples } of families) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels = {}, value, suffix = '' } of samples) {
+      const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+      lines.push(`${name}${suffix}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${Number(value)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const metric = (name, type, help, samples) => ({ name, type, help, samples });
+const one = (value, labels) => [{ value, labels }];
+
+// Live numbers from a crawl in progress
+function crawlMetrics(crawler) {
+  const { stats, startTime, endTime } = crawler.result;
+  const labels = { run_id: crawler.runId };
+  return [
+    metric('quest4_crawl_running', 'gauge', 'Whether a crawl is in progress', one(endTime ? 0 : 1, labels)),
+    metric('quest4_crawl_duration_seconds', 'gauge', 'Elapsed crawl time', one(((endTime || Date.now()) - startTime) / 1000, labels)),
+    metric('quest4_pages_total', 'counter', 'Pages by outcome', [
+      { labels: { ...labels, result: 'success' }, value: stats.successfulPages },
+      { labels: { ...labels, result: 'failed' }, value: stats.failedPages },
+      { labels: { ...labels, result: 'skipped' }, value: stats.skippedPages },
+    ]),
+    metric('quest4_page_load_seconds', 'summary', 'Page load time', [
+      { suffix: '_sum', labels, value: stats.totalLoadTime / 1000 },
+      { suffix: '_count', labels, value: stats.successfulPages },
+    ]),
+    metric('quest4_retries_total', 'counter', 'Page load retries', one(stats.retries, labels)),
+    metric('quest4_throttled_total', 'counter', '429/503 responses that slowed a host down', one(stats.throttled || 0, labels)),
+    metric('quest4_browser_crashes_total', 'counter', 'Chromium crashes survived by relaunching', one(stats.browserCrashes || 0, labels)),
+    metric('quest4_links_found_total', 'counter', 'Links found on crawled pages', one(stats.totalLinks, labels)),
+    metric('quest4_tables_found_total', 'counter', 'Tables found on crawled pages', one(stats.totalTables, labels)),
+    metric('quest4_queue_size', 'gauge', 'URLs waiting in the queue', one(crawler.queue.pending, labels)),
+    metric('quest4_in_flight_pages', 'gauge', 'Pages being crawled right now', one(crawler.inFlight.size, labels)),
+  ];
+}
+
+// The most recent finished run, read back from last-run.json
+function lastRunMetrics(status) {
+  if (!status) return [];
+  const labels = { run_id: status.runId, status: status.status };
+  return [
+    metric('quest4_last_run_success', 'gauge', 'Whether the last run completed', one(status.status === 'success' ? 1 : 0, labels)),
+    metric('quest4_last_run_timestamp_seconds', 'gauge', 'When the last run ended', one(Date.parse(status.endTime) / 1000, labels)),
+    metric('quest4_last_run_duration_seconds', 'gauge', 'Duration of the last run', one(status.durationSeconds, labels)),
+    metric('quest4_last_run_pages', 'gauge', 'Pages in the last run by outcome', [
+      { labels: { ...labels, result: 'success' }, value: status.pages.crawled },
+      { labels: { ...labels, result: 'failed' }, value: status.pages.failed },
+      { labels: { ...labels, result: 'skipped' }, value: status.pages.skipped },
+    ]),
+    metric('quest4_last_run_failure_ratio', 'gauge', 'Failed / attempted pages in the last run', one(status.failureRatio, labels)),
+    metric('quest4_last_run_retries', 'gauge', 'Retries in the last run', one(status.stats?.retries || 0, labels)),
+    metric('quest4_last_run_alerts', 'gauge', 'Alert rules triggered by the last run', one(status.alerts?.length || 0, labels)),
+  ];
+}
+
+// Scheduler state plus run counts from its history
+function schedulerMetrics(scheduler, history) {
+  const byStatus = { success: 0, failed: 0, locked: 0 };
+  for (const { status } of history) {
+    if (status) byStatus[status] = (byStatus[status] || 0) + 1;
+  }
+  return [
+    metric('quest4_scheduled_runs_total', 'counter', 'Scheduled runs by outcome',
+      Object.entries(byStatus).map(([status, value]) => ({ labels: { status }, value }))),
+    metric('quest4_scheduler_run_in_progress', 'gauge', 'Whether a scheduled crawl is running', one(scheduler.child ? 1 : 0)),
+    metric('quest4_scheduler_next_run_timestamp_seconds', 'gauge', 'When the next scheduled run is due',
+      one(scheduler.nextRunAt ? scheduler.nextRunAt.getTime() / 1000 : 0)),
+  ];
+}
+
+class MetricsServer {
+  constructor({ port, host = '127.0.0.1', collect }) {
+    this.port = port;
+    this.host = host;
+    this.collect = collect;
+    this.server = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || !['/metrics', '/'].includes(req.url.split('?')[0])) {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        const body = formatMetrics(this.collect());
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }).end(body);
+      } catch (err) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' }).end(err.message);
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        // An idle metrics port must not keep a finished crawl alive
+        this.server.unref();
+        resolve(`http://${this.host}:${this.server.address().port}/metrics`);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const { server } = this;
+    this.server = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      // Scrapers keep connections alive; don't wait for them to hang up
+      server.closeAllConnections();
+    });
+  }
+}
+
+module.exports = {
+  buildRunStatus,
+  writeStatusFile,
+  readStatusFile,
+  checkAlerts,
+  sendAlert,
+  formatMetrics,
+  crawlMetrics,
+  lastRunMetrics,
+  schedulerMetrics,
+  MetricsServer,
+};
@@ -0,0 +1,44 @@
+/**
+ * Extraction profiles for iros.go.kr (see extraction.js for the format).
+ *
+ * Profiles are tried in order and the first whose `match` pattern fits the
+ * URL is applied. Field options:
+ *   selector | xpath   where to read from (CSS or XPath)
+ *   attr               attribute to read; default is the text content ('html' for innerHTML)
+ *   list               collect every match instead of the first
+ *   transform          post-processing chain: trim, collapse, lowercase, uppercase,
+ *                      number, integer, date, boolean, url (default: ['trim'])
+ *   type               schema type: string, number, integer, boolean, date, url
+ *   required, pattern, minItems   extra validation rules
+ */
+
+module.exports = [
+  {
+    name: 'notice',
+    match: [/\/(notice|bbs)[^/]*\.(jsp|do)\?.*(seq|no|id)=/i],
+    fields: {
+      title: { selector: '.view_title, .board_view th, h3, h4', transform: ['collapse'], type: 'string', required: true },
+      postedAt: { selector: '.date, td.date, .board_view .date', transform: ['trim', 'date'], type: 'date' },
+      views: { selector: '.hit, td.hit', transform: ['integer'], type: 'integer' },
+      body: { selector: '.view_content, .board_view td.content, #contents', transform: ['collapse'], type: 'string', required: true },
+      attachments: { selector: 'a[href*="download"], a[href*="fileDown"]', attr: 'href', list: true, transform: ['url'], type: 'url' },
+    },
+  },
+  {
+    name: 'notice-list',
+    match: [/\/(notice|bbs)[^/]*\.(jsp|do)/i],
+    fields: {
+      titles: { selector: 'table tbody tr td.title a, table tbody tr td.subject a', list: true, transform: ['collapse'], type: 'string', minItems: 1 },
+      links: { selector: 'table tbody tr td.title a, table tbody tr td.subject a', attr: 'href', list: true, transform: ['url'], type: 'url' },
+      dates: { xpath: '//table//tbody//tr/td[contains(@class, "date")]', list: true, transform: ['trim', 'date'], type: 'date' },
+    },
+  },
+  {
+    name: 'fee-table',
+    match: [/fee|charge|susu/i],
+    fields: {
+      items: { selector: 'table tbody tr td:first-child', list: true, transform: ['collapse'], type: 'string' },
+      fees: { selector: 'table tbody tr td:last-child', list: true, transform: ['number'], type: 'number' },
+    },
+  },
+];
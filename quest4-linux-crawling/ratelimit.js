@@ -0,0 +1,220 @@
+/**
+ * Adaptive per-host rate limiting for the Quest 4 crawler.
+ *
+ * Every host gets a token bucket. Workers take a token before each request,
+ * so all workers share the host's rate. A 429 or 503 halves the rate and
+ * pauses the host, for `Retry-After` if the server sent one, otherwise for a
+ * jittered exponential backoff. Successful responses then raise the rate step
+ * by step back to the configured base. Failures are classified so that only
+ * transient ones (timeouts, resets, 5xx, throttling) are retried.
+ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ── Failure classification ─────────────────────────────────────────────────
+
+// Retry-After is either delta-seconds or an HTTP date; returns ms or null
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class HttpError extends Error {
+  constructor(statusCode, headers = {}) {
+    super(`HTTP ${statusCode}`);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.retryAfterMs = parseRetryAfter(headers['retry-after']);
+  }
+}
+
+const THROTTLE_STATUSES = [429, 503];
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Chromium network errors that will not go away on a retry
+const PERMANENT_NET_ERRORS = [
+  'ERR_NAME_NOT_RESOLVED',
+  'ERR_TOO_MANY_REDIRECTS',
+  'ERR_UNSAFE_REDIRECT',
+  'ERR_INVALID_URL',
+  'ERR_UNKNOWN_URL_SCHEME',
+  'ERR_BLOCKED_BY_CLIENT',
+  'ERR_CERT_',
+  'ERR_SSL_',
+];
+
+// The same failures as seen by fetch() on the HTTP fast path (error.cause.code)
+const PERMANENT_CAUSE_CODES = [
+  'ENOTFOUND',
+  'ERR_INVALID_URL',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+  'CERT_HAS_EXPIRED',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  // --replay: the URL was never archived, so no retry can find it
+  'ERR_NOT_IN_ARCHIVE',
+];
+
+// → { retryable, throttle, reason }
+function classifyFailure(err) {
+  if (err instanceof HttpError) {
+    const status = err.statusCode;
+    return {
+      retryable: RETRYABLE_STATUSES.includes(status),
+      throttle: THROTTLE_STATUSES.includes(status),
+      reason: err.message,
+    };
+  }
+  const message = err.message || '';
+  const permanentCause = PERMANENT_CAUSE_CODES.includes(err.cause?.code)
+    || /redirect count exceeded/i.test(err.cause?.message || '');
+  if (permanentCause || PERMANENT_NET_ERRORS.some((code) => message.includes(code))) {
+    return { retryable: false, throttle: false, reason: message };
+  }
+  // Timeouts, resets, refused connections, crashed pages: worth another try
+  return { retryable: true, throttle: false, reason: message };
+}
+
+// Exponential backoff with "equal jitter": half fixed, half random
+function backoffDelay(attempt, baseMs, maxMs) {
+  const exp = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+// ── Token buckets ──────────────────────────────────────────────────────────
+
+class HostBucket {
+  constructor(host, rate, burst) {
+    this.host = host;
+    this.baseRate = rate;
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.throttled = 0;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.lastRefill = Math.max(now, this.lastRefill);
+  }
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.rate = options.requestsPerSecond || 1;
+    this.burst = options.burst || 1;
+    this.minRate = options.minRequestsPerSecond || 0.1;
+    this.slowdown = options.slowdownFactor ?? 0.5;
+    this.recovery = options.recoveryFactor ?? 1.1;
+    this.maxRetryAfterMs = (options.maxRetryAfter ?? 300) * 1000;
+    this.logger = options.logger;
+    this.buckets = new Map();
+  }
+
+  bucket(url) {
+    const host = new URL(url).host;
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, new HostBucket(host, this.rate, this.burst));
+    }
+    return this.buckets.get(host);
+  }
+
+  // robots.txt Crawl-delay: one request per `seconds`, no bursts
+  setCrawlDelay(url, seconds) {
+    const bucket = this.bucket(url);
+    bucket.baseRate = Math.min(bucket.baseRate, 1 / seconds);
+    bucket.rate = bucket.baseRate;
+    bucket.burst = 1;
+    bucket.tokens = Math.min(bucket.tokens, 1);
+  }
+
+  // Resolves when a request to url may start; returns the time waited in ms
+  async acquire(url) {
+    const bucket = this.bucket(url);
+    const start = Date.now();
+
+    for (;;) {
+      const pause = bucket.pausedUntil - Date.now();
+      if (pause > 0) {
+        await sleep(pause);
+        continue;
+      }
+
+      // Reserve a token now (going into debt) so concurrent workers queue up
+      const now = Date.now();
+      bucket.refill(now);
+      bucket.tokens -= 1;
+      if (bucket.tokens < 0) {
+        await sleep((-bucket.tokens / bucket.rate) * 1000);
+      }
+
+      // A throttle that arrived while we waited voids the reservation
+      if (Date.now() >= bucket.pausedUntil) return Date.now() - start;
+    }
+  }
+
+  // 429/503 (or a backoff after repeated failures): slow down and pause the host
+  throttle(url, { reason, retryAfterMs = null, backoffMs = 0 }) {
+    const bucket = this.bucket(url);
+    const previous = bucket.rate;
+    bucket.rate = Math.max(this.minRate, bucket.rate * this.slowdown);
+    bucket.throttled++;
+
+    let pauseMs = backoffMs;
+    let source = 'backoff';
+    if (retryAfterMs !== null) {
+      pauseMs = Math.min(retryAfterMs, this.maxRetryAfterMs);
+      source = retryAfterMs > this.maxRetryAfterMs ? `Retry-After, capped from ${Math.round(retryAfterMs / 1000)}s` : 'Retry-After';
+    }
+
+    const until = Date.now() + pauseMs;
+    if (until > bucket.pausedUntil) {
+      bucket.pausedUntil = until;
+      // Queued reservations are dropped; refilling starts after the pause
+      bucket.tokens = 0;
+      bucket.lastRefill = until;
+    }
+
+    this.logger?.warn(
+      `Throttling ${bucket.host}: ${reason}, pausing ${(pauseMs / 1000).toFixed(1)}s (${source}), `
+      + `rate ${previous.toFixed(2)} → ${bucket.rate.toFixed(2)} req/s`,
+    );
+    return pauseMs;
+  }
+
+  // Each success raises a slowed-down host's rate a step towards its base
+  succeeded(url) {
+    const bucket = this.bucket(url);
+    if (bucket.rate >= bucket.baseRate) return;
+    bucket.rate = Math.min(bucket.baseRate, bucket.rate * this.recovery);
+    if (bucket.rate === bucket.baseRate) {
+      this.logger?.info(`Rate for ${bucket.host} back to ${bucket.rate.toFixed(2)} req/s`);
+    } else {
+      this.logger?.debug(`Rate for ${bucket.host} raised to ${bucket.rate.toFixed(2)} req/s`);
+    }
+  }
+
+  summary() {
+    return Array.from(this.buckets.values()).map((b) => ({
+      host: b.host,
+      baseRate: Number(b.baseRate.toFixed(3)),
+      finalRate: Number(b.rate.toFixed(3)),
+      throttled: b.throttled,
+    }));
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  HttpError,
+  classifyFailure,
+  backoffDelay,
+  parseRetryAfter,
+};
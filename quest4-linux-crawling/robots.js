@@ -0,0 +1,201 @@
+/**
+ * robots.txt and sitemap.xml support for the Quest 4 crawler.
+ *
+ * Parsing follows RFC 9309: rules are grouped by user-agent, the most
+ * specific (longest) matching rule wins, and Allow beats Disallow on a tie.
+ * `*` and `$` wildcards are supported in paths.
+ */
+
+// ── robots.txt ─────────────────────────────────────────────────────────────
+
+class RobotsTxt {
+  constructor(groups = [], sitemaps = []) {
+    this.groups = groups;
+    this.sitemaps = sitemaps;
+  }
+
+  static parse(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) continue;
+
+      const sep = line.indexOf(':');
+      if (sep === -1) continue;
+
+      const field = line.slice(0, sep).trim().toLowerCase();
+      const value = line.slice(sep + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+      } else if (!current) {
+        continue;
+      } else if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow means "allow everything" and adds no rule
+        if (value) current.rules.push({ allow: field === 'allow', path: value });
+      } else if (field === 'crawl-delay') {
+        const delay = Number.parseFloat(value);
+        if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+      }
+    }
+
+    return new RobotsTxt(groups, sitemaps);
+  }
+
+  static allowAll() {
+    return new RobotsTxt();
+  }
+
+  static disallowAll() {
+    return new RobotsTxt([{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }]);
+  }
+
+  // Groups naming a token contained in the UA string win over the `*` group
+  groupsFor(userAgent) {
+    const ua = userAgent.toLowerCase();
+    const specific = this.groups.filter((g) => g.agents.some((a) => a !== '*' && ua.includes(a)));
+    if (specific.length > 0) return specific;
+    return this.groups.filter((g) => g.agents.includes('*'));
+  }
+
+  isAllowed(url, userAgent) {
+    let pathname;
+    try {
+      const parsed = new URL(url);
+      pathname = parsed.pathname + parsed.search;
+    } catch {
+      return false;
+    }
+
+    let best = null;
+    for (const group of this.groupsFor(userAgent)) {
+      for (const rule of group.rules) {
+        if (!matchPath(rule.path, pathname)) continue;
+        if (
+          !best ||
+          rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow && !best.allow)
+        ) {
+          best = rule;
+        }
+      }
+    }
+
+    return best ? best.allow : true;
+  }
+
+  // Seconds, or null when no matching group sets one
+  crawlDelay(userAgent) {
+    const delays = this.groupsFor(userAgent)
+      .map((g) => g.crawlDelay)
+      .filter((d) => d !== null);
+    return delays.length > 0 ? Math.max(...delays) : null;
+  }
+}
+
+function matchPath(pattern, pathname) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body
+    .split('*')
+    .map((part) => part.replaceAll(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(pathname);
+}
+
+async function fetchRobots(baseUrl, { timeout, userAgent, fetchImpl = fetch }) {
+  const robotsUrl = new URL('/robots.txt', baseUrl).toString();
+
+  let response;
+  try {
+    response = await fetchImpl(robotsUrl, {
+      headers: { 'User-Agent': userAgent },
+      signal: AbortSignal.timeout(timeout),
+    });
+  } catch (err) {
+    // RFC 9309 §2.3.1.4: an unreachable robots.txt means full disallow
+    return { robots: RobotsTxt.disallowAll(), url: robotsUrl, status: 0, error: err.message };
+  }
+
+  if (response.status >= 500) {
+    return { robots: RobotsTxt.disallowAll(), url: robotsUrl, status: response.status };
+  }
+  if (response.status >= 400) {
+    // Missing robots.txt: everything is allowed
+    return { robots: RobotsTxt.allowAll(), url: robotsUrl, status: response.status };
+  }
+
+  const text = await response.text();
+  return { robots: RobotsTxt.parse(text), url: robotsUrl, status: response.status };
+}
+
+// ── sitemap.xml ────────────────────────────────────────────────────────────
+
+function parseSitemap(xml) {
+  const decode = (s) => s
+    .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    .replaceAll('&amp;', '&')
+    .replaceAll('&lt;', '<')
+    .replaceAll('&gt;', '>')
+    .replaceAll('&quot;', '"')
+    .replaceAll('&apos;', "'")
+    .trim();
+
+  const locs = Array.from(xml.matchAll(/<loc>([\s\S]*?)<\/loc>/gi), (m) => decode(m[1]));
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+
+  return isIndex ? { sitemaps: locs, urls: [] } : { sitemaps: [], urls: locs };
+}
+
+async function fetchSitemapUrls(sitemapUrls, { timeout, userAgent, maxUrls, logger, fetchImpl = fetch }) {
+  const urls = [];
+  const seen = new Set();
+  const pending = [...sitemapUrls];
+
+  while (pending.length > 0 && urls.length < maxUrls) {
+    const sitemapUrl = pending.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    try {
+      const response = await fetchImpl(sitemapUrl, {
+        headers: { 'User-Agent': userAgent },
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const parsed = parseSitemap(await response.text());
+      pending.push(...parsed.sitemaps);
+      urls.push(...parsed.urls.slice(0, maxUrls - urls.length));
+      logger?.debug(`  Sitemap ${sitemapUrl}: ${parsed.urls.length} URLs, ${parsed.sitemaps.length} nested`);
+    } catch (err) {
+      logger?.warn(`  Sitemap ${sitemapUrl} failed: ${err.message}`);
+    }
+  }
+
+  return urls;
+}
+
+module.exports = {
+  RobotsTxt,
+  fetchRobots,
+  parseSitemap,
+  fetchSitemapUrls,
+};
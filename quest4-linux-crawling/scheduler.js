@@ -0,0 +1,354 @@
+/**
+ * In-process scheduler for the Quest 4 crawler.
+ *
+ * Cron expressions are evaluated in local time, like crontab. Each due run is
+ * a separate `node index.js ...` child process, so a Chromium crash cannot
+ * take the scheduler down. The crawl itself takes the output dir's lock file,
+ * which keeps scheduled and manual runs from overlapping; the scheduler holds
+ * its own PID file so only one scheduler runs per output dir. Every run is
+ * appended to an NDJSON history file, which is also how slots missed while
+ * the scheduler was down (or busy with an overrunning crawl) are detected.
+ */
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const { RunLock, LOCKED_EXIT_CODE } = require('./lock');
+
+// ── Cron expressions ───────────────────────────────────────────────────────
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  // 7 is accepted as Sunday and folded onto 0
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+function parseValue(token, field) {
+  const named = field.names?.indexOf(token.toLowerCase());
+  if (named !== undefined && named >= 0) return named + field.offset;
+  if (!/^\d+$/.test(token)) throw new Error(`bad ${field.name} value "${token}"`);
+  const value = Number(token);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+// "*/15", "1-5", "mon-fri", "0,30" → Set of allowed values
+function parseField(source, field) {
+  const values = new Set();
+  for (const part of source.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`bad step in "${part}"`);
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      [start, end] = [parseValue(a, field), parseValue(b, field)];
+      if (start > end) throw new Error(`bad range "${range}"`);
+    } else {
+      start = parseValue(range, field);
+      // "5/10" means 5, 15, 25, ...
+      end = stepText === undefined ? start : field.max;
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${parts.length}`);
+  }
+
+  let sets;
+  try {
+    sets = parts.map((part, i) => parseField(part, FIELDS[i]));
+  } catch (err) {
+    throw new Error(`Invalid cron expression "${expression}": ${err.message}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = sets;
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] !== '*' && parts[4] !== '*',
+  };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  return cron.anyDay ? dom || dow : dom && dow;
+}
+
+// First matching minute strictly after `after`. Mismatching months, days and
+// hours are skipped whole, so even yearly expressions take few iterations.
+function nextRun(cron, after) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  throw new Error(`Cron expression "${cron.expression}" never fires`);
+}
+
+// ── Run history ────────────────────────────────────────────────────────────
+
+function readHistory(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        // A line cut short by a crash is skipped, not fatal
+        return [];
+      }
+    });
+}
+
+function appendHistory(file, entry) {
+  fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+}
+
+// ── Argument pass-through ──────────────────────────────────────────────────
+
+// Removes the scheduler's own options so the child runs a single crawl.
+// `variadic` flags also swallow the values that follow them.
+function stripArgs(argv, { flags = [], valued = [], variadic = [] }) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.split('=')[0];
+    if (flags.includes(name)) continue;
+    if (valued.includes(name)) {
+      if (!arg.includes('=')) i++;
+      continue;
+    }
+    if (variadic.includes(name)) {
+      while (i + 1 < argv.length && !argv[i + 1].startsWith('-')) i++;
+      continue;
+    }
+    out.push(arg);
+  }
+  return out;
+}
+
+// ── Scheduler ──────────────────────────────────────────────────────────────
+
+class Scheduler {
+  constructor(options) {
+    this.crons = options.expressions.map(parseCron);
+    this.script = options.script;
+    this.args = options.args || [];
+    this.jitterMs = options.jitterMs || 0;
+    this.catchUp = options.catchUp !== false;
+    this.historyFile = options.historyFile;
+    this.statusFile = options.statusFile;
+    this.env = options.env || process.env;
+    this.pidLock = new RunLock(options.pidFile);
+    this.logger = options.logger;
+    // Called with (historyEntry, runStatus) after every run
+    this.onRunFinished = options.onRunFinished || null;
+    this.nextRunAt = null;
+    this.child = null;
+    this.stopping = false;
+    this.wake = null;
+  }
+
+  nextSlot(after) {
+    return new Date(Math.min(...this.crons.map((cron) => nextRun(cron, after).getTime())));
+  }
+
+  lastScheduled() {
+    const last = readHistory(this.historyFile).at(-1);
+    return last?.scheduledFor ? new Date(last.scheduledFor) : null;
+  }
+
+  // Sleeps in chunks of at most an hour (setTimeout overflows past ~24.8
+  // days, and short chunks follow wall-clock changes); stop() wakes it early
+  async sleepUntil(time) {
+    while (!this.stopping && Date.now() < time.getTime()) {
+      const ms = Math.min(time.getTime() - Date.now(), 60 * 60 * 1000);
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        this.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this.wake = null;
+    }
+  }
+
+  readStatus() {
+    try {
+      return JSON.parse(fs.readFileSync(this.statusFile, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async run(scheduledFor, { catchUp = false, missed = 0 } = {}) {
+    const jitterMs = Math.round(Math.random() * this.jitterMs);
+    if (jitterMs > 0) {
+      this.logger.info(`Waiting ${(jitterMs / 1000).toFixed(1)}s jitter`);
+      await this.sleepUntil(new Date(Date.now() + jitterMs));
+      if (this.stopping) return null;
+    }
+
+    const startTime = new Date();
+    fs.rmSync(this.statusFile, { force: true });
+    this.logger.info(`Starting ${catchUp ? 'catch-up ' : ''}run scheduled for ${scheduledFor.toISOString()}`);
+
+    const { code, signal } = await new Promise((resolve) => {
+      this.child = spawn(process.execPath, [this.script, ...this.args, '--status-file', this.statusFile], {
+        stdio: 'inherit',
+        env: this.env,
+      });
+      this.child.on('error', (err) => {
+        this.logger.error(`Could not start crawl: ${err.message}`);
+        resolve({ code: null, signal: null });
+      });
+      this.child.on('exit', (exitCode, exitSignal) => resolve({ code: exitCode, signal: exitSignal }));
+    });
+    this.child = null;
+
+    const endTime = new Date();
+    const status = this.readStatus();
+    let outcome = 'failed';
+    if (code === 0) outcome = 'success';
+    else if (code === LOCKED_EXIT_CODE) outcome = 'locked';
+
+    const entry = {
+      scheduledFor: scheduledFor.toISOString(),
+      catchUp,
+      missed,
+      jitterMs,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      duration: endTime - startTime,
+      exitCode: code,
+      signal,
+      status: outcome,
+      runId: status?.runId || null,
+      pages: status?.pages || null,
+    };
+    appendHistory(this.historyFile, entry);
+
+    const pages = entry.pages ? `, ${entry.pages.crawled} pages` : '';
+    const log = outcome === 'success' ? 'info' : 'warn';
+    this.logger[log](`Run finished: ${outcome} (exit ${signal || code}${pages}) in ${(entry.duration / 1000).toFixed(1)}s`);
+    if (this.onRunFinished) await this.onRunFinished(entry, status);
+    return entry;
+  }
+
+  async start() {
+    if (!this.pidLock.acquire()) {
+      const { pid, hostname } = this.pidLock.heldBy;
+      throw new Error(`Scheduler already running (pid ${pid} on ${hostname}, ${this.pidLock.file})`);
+    }
+
+    for (const cron of this.crons) {
+      this.logger.info(`Schedule "${cron.expression}": next run ${nextRun(cron, new Date()).toISOString()}`);
+    }
+
+    // Picking up from the last recorded slot is what makes missed runs visible
+    let cursor = this.lastScheduled() || new Date();
+
+    while (!this.stopping) {
+      const due = this.nextSlot(cursor);
+      const now = new Date();
+
+      if (due <= now) {
+        // One catch-up run covers any number of missed slots; it is recorded
+        // against the latest one so a restart doesn't catch up again
+        let missed = 0;
+        let latest = due;
+        for (let slot = due; slot <= now && missed < 1000; slot = this.nextSlot(slot)) {
+          latest = slot;
+          missed++;
+        }
+        if (this.catchUp) {
+          this.logger.warn(`Missed ${missed} scheduled run(s) since ${due.toISOString()}, catching up`);
+          cursor = now;
+          await this.run(latest, { catchUp: true, missed });
+        } else {
+          this.logger.warn(`Missed ${missed} scheduled run(s) since ${due.toISOString()}, skipping`);
+          cursor = now;
+        }
+        continue;
+      }
+
+      this.nextRunAt = due;
+      this.logger.info(`Next run at ${due.toISOString()}`);
+      await this.sleepUntil(due);
+      if (this.stopping) break;
+      cursor = due;
+      await this.run(due);
+    }
+
+    this.pidLock.release();
+  }
+
+  // The running crawl gets the signal too, so it can write its checkpoint
+  stop(signal) {
+    this.stopping = true;
+    if (this.wake) this.wake();
+    if (this.child) this.child.kill(signal);
+  }
+}
+
+module.exports = {
+  Scheduler,
+  parseCron,
+  nextRun,
+  readHistory,
+  stripArgs,
+};
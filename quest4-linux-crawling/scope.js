@@ -0,0 +1,107 @@
+/**
+ * Crawl scope rules for the Quest 4 crawler.
+ *
+ * URLs are normalized before deduplication (fragments, trailing slashes,
+ * session IDs and configured query params dropped, remaining params sorted)
+ * and then checked against the scope: same host, include/exclude patterns and
+ * skipped file extensions. Each rule reports its name so the crawler can keep
+ * per-rule counters.
+ */
+
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
+// Strings match a param name exactly (case-insensitive), RegExps test it
+function paramMatcher(patterns) {
+  const names = new Set(patterns.filter((p) => typeof p === 'string').map((p) => p.toLowerCase()));
+  const regexes = patterns.filter((p) => p instanceof RegExp);
+  return (name) => names.has(name.toLowerCase()) || regexes.some((re) => re.test(name));
+}
+
+// The decoded name of a raw "name=value" query segment; names that are not
+// valid UTF-8 escapes are compared as they are
+function paramName(segment) {
+  const raw = segment.split('=', 1)[0].replaceAll('+', ' ');
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return raw;
+  }
+}
+
+class ScopeRules {
+  constructor(baseUrl, options = {}) {
+    this.baseHost = new URL(baseUrl).hostname;
+    this.include = (options.include || []).map(toRegExp);
+    this.exclude = (options.exclude || []).map(toRegExp);
+    this.skipExtensions = (options.skipExtensions || []).map((e) => e.toLowerCase());
+    this.sortParams = options.sortParams !== false;
+    this.isDroppedParam = paramMatcher(options.dropParams || []);
+    // JSP containers put the session in the path: /page.jsp;jsessionid=ABC
+    this.dropPathSession = this.isDroppedParam('jsessionid');
+  }
+
+  // Returns { url, changes } where changes lists the normalization rules applied
+  normalize(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { url: null, changes: [] };
+    }
+
+    const changes = [];
+    parsed.hash = '';
+
+    if (this.dropPathSession && /;jsessionid=/i.test(parsed.pathname)) {
+      parsed.pathname = parsed.pathname.replaceAll(/;jsessionid=[^/]*/gi, '');
+      changes.push('paramsDropped');
+    }
+
+    // Raw "name=value" segments: the query is only rebuilt when a param goes or
+    // moves, and then from the original escapes (EUC-KR %B0%A1 stays as it is,
+    // %20 does not become +)
+    const params = parsed.search.slice(1).split('&').filter(Boolean).map((segment) => [paramName(segment), segment]);
+    const kept = params.filter(([name]) => !this.isDroppedParam(name));
+    let queryChanged = kept.length !== params.length;
+    if (queryChanged && !changes.includes('paramsDropped')) changes.push('paramsDropped');
+
+    if (this.sortParams) {
+      const sorted = [...kept].sort(([a], [b]) => a.localeCompare(b));
+      if (sorted.some(([name], i) => name !== kept[i][0])) {
+        changes.push('paramsSorted');
+        queryChanged = true;
+      }
+      kept.splice(0, kept.length, ...sorted);
+    }
+
+    if (queryChanged) parsed.search = kept.map(([, segment]) => segment).join('&');
+
+    let normalized = parsed.toString();
+    if (normalized.endsWith('/')) {
+      normalized = normalized.slice(0, -1);
+    }
+    return { url: normalized, changes };
+  }
+
+  // Name of the rule that rejects the URL, or null when it is in scope
+  check(url) {
+    const parsed = new URL(url);
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'offDomain';
+    if (parsed.hostname !== this.baseHost && !parsed.hostname.endsWith('.' + this.baseHost)) return 'offDomain';
+
+    const pathname = parsed.pathname.toLowerCase();
+    if (this.skipExtensions.some((ext) => pathname.endsWith(ext))) return 'extension';
+
+    if (this.exclude.some((re) => re.test(url))) return 'excluded';
+    if (this.include.length > 0 && !this.include.some((re) => re.test(url))) return 'notIncluded';
+
+    return null;
+  }
+}
+
+module.exports = {
+  ScopeRules,
+};
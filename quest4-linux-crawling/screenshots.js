@@ -0,0 +1,159 @@
+/**
+ * Screenshot pipeline for the Quest 4 crawler.
+ *
+ * Every crawled URL gets a full-page PNG and a thumbnail under
+ * <output>/screenshots/<runId>/. File names are derived from the URL, so the
+ * same page in the previous run's directory is found by name and pixel-diffed
+ * to flag visual regressions.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+// Readable and stable across runs: host + path, plus a hash to keep it unique
+function urlSlug(url) {
+  const parsed = new URL(url);
+  const readable = `${parsed.hostname}${parsed.pathname}`
+    .replaceAll(/[^a-zA-Z0-9.-]+/g, '_')
+    .replaceAll(/^_+|_+$/g, '')
+    .slice(0, 80);
+  const digest = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  return `${readable}-${digest}`;
+}
+
+// Box-filter downscale; good enough for thumbnails and needs no native deps
+function resizePng(src, width) {
+  const scale = src.width / width;
+  const height = Math.max(1, Math.round(src.height / scale));
+  const dst = new PNG({ width, height });
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * scale);
+    const y1 = Math.min(src.height, Math.max(y0 + 1, Math.floor((y + 1) * scale)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * scale);
+      const x1 = Math.min(src.width, Math.max(x0 + 1, Math.floor((x + 1) * scale)));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * src.width + sx) * 4;
+          for (let c = 0; c < 4; c++) sum[c] += src.data[i + c];
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) dst.data[o + c] = Math.round(sum[c] / n);
+    }
+  }
+
+  return dst;
+}
+
+function cropPng(src, width, height) {
+  if (src.width === width && src.height === height) return src;
+  const dst = new PNG({ width, height });
+  PNG.bitblt(src, dst, 0, 0, width, height, 0, 0);
+  return dst;
+}
+
+// ── Screenshot store ───────────────────────────────────────────────────────
+
+class ScreenshotStore {
+  constructor(outputDir, runId, options = {}) {
+    this.outputDir = outputDir;
+    this.rootDir = path.join(outputDir, options.dir || 'screenshots');
+    this.runDir = path.join(this.rootDir, runId);
+    this.runId = runId;
+    this.thumbWidth = options.thumbWidth || 320;
+    this.pixelThreshold = options.pixelThreshold ?? 0.1;
+    this.regressionRatio = options.regressionRatio ?? 0.01;
+    this.previousDir = this.findPreviousRunDir();
+
+    fs.mkdirSync(this.runDir, { recursive: true });
+  }
+
+  // Run IDs are ISO timestamps, so the lexically last directory is the latest
+  findPreviousRunDir() {
+    if (!fs.existsSync(this.rootDir)) return null;
+    const runs = fs.readdirSync(this.rootDir, { withFileTypes: true })
+      .filter((d) => d.isDirectory() && d.name < this.runId)
+      .map((d) => d.name)
+      .sort();
+    return runs.length > 0 ? path.join(this.rootDir, runs.at(-1)) : null;
+  }
+
+  relative(file) {
+    return path.relative(this.outputDir, file);
+  }
+
+  async capture(page, url) {
+    const name = urlSlug(url);
+    const file = path.join(this.runDir, `${name}.png`);
+    const thumbFile = path.join(this.runDir, `${name}.thumb.png`);
+
+    const buffer = Buffer.from(await page.screenshot({ fullPage: true, type: 'png' }));
+    fs.writeFileSync(file, buffer);
+
+    const png = PNG.sync.read(buffer);
+    const thumbWidth = Math.min(this.thumbWidth, png.width);
+    fs.writeFileSync(thumbFile, PNG.sync.write(resizePng(png, thumbWidth)));
+
+    return {
+      file: this.relative(file),
+      thumbnail: this.relative(thumbFile),
+      width: png.width,
+      height: png.height,
+      diff: this.diffWithPrevious(name, png),
+    };
+  }
+
+  diffWithPrevious(name, current) {
+    if (!this.previousDir) return null;
+
+    const previousFile = path.join(this.previousDir, `${name}.png`);
+    if (!fs.existsSync(previousFile)) return null;
+
+    const previous = PNG.sync.read(fs.readFileSync(previousFile));
+    const width = Math.min(previous.width, current.width);
+    const height = Math.min(previous.height, current.height);
+    const sizeChanged = previous.width !== current.width || previous.height !== current.height;
+
+    // Compare the overlapping area; a size change is reported on its own
+    const diff = new PNG({ width, height });
+    const mismatched = pixelmatch(
+      cropPng(previous, width, height).data,
+      cropPng(current, width, height).data,
+      diff.data,
+      width,
+      height,
+      { threshold: this.pixelThreshold },
+    );
+    const mismatchRatio = mismatched / (width * height);
+    const regression = sizeChanged || mismatchRatio > this.regressionRatio;
+
+    let diffFile = null;
+    if (mismatched > 0) {
+      diffFile = path.join(this.runDir, `${name}.diff.png`);
+      fs.writeFileSync(diffFile, PNG.sync.write(diff));
+    }
+
+    return {
+      previous: this.relative(previousFile),
+      diffFile: diffFile && this.relative(diffFile),
+      mismatchedPixels: mismatched,
+      mismatchRatio: Number(mismatchRatio.toFixed(5)),
+      sizeChanged,
+      regression,
+    };
+  }
+}
+
+module.exports = {
+  ScreenshotStore,
+  urlSlug,
+};
@@ -0,0 +1,275 @@
+/**
+ * Output sinks for the Quest 4 crawler.
+ *
+ * Every sink implements the same hooks:
+ *   open(meta)         once, before the first page
+ *   writePage(page)    after each successfully crawled page
+ *   writeError(error)  after each page that failed for good
+ *   close(output)      once, with the final report from buildOutput()
+ *
+ * `json` and `csv` are buffered: they need every page in memory and write at
+ * close. `ndjson` and `sqlite` stream each record as it arrives, so a crawl
+ * that only uses them keeps just a small summary per page.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { duplicateIndex } = require('./content');
+
+// ── Buffered sinks ─────────────────────────────────────────────────────────
+
+class JsonSink {
+  constructor({ outputBase }) {
+    this.file = `${outputBase}.json`;
+    this.buffered = true;
+  }
+
+  open() {}
+  writePage() {}
+  writeError() {}
+
+  close(output) {
+    fs.writeFileSync(this.file, JSON.stringify(output, null, 2));
+    return this.file;
+  }
+}
+
+class CsvSink {
+  constructor({ outputBase }) {
+    this.file = `${outputBase}.csv`;
+    this.buffered = true;
+  }
+
+  open() {}
+  writePage() {}
+  writeError() {}
+
+  close(output) {
+    const headers = [
+      'url', 'depth', 'title', 'statusCode', 'loadTime', 'engine', 'linksCount', 'imagesCount', 'tablesCount', 'formsCount', 'formParams',
+      'language', 'contentLength', 'simhash', 'duplicateOf', 'screenshot', 'timestamp',
+    ];
+    const duplicateOf = duplicateIndex(output.duplicates);
+    const rows = output.pages.map((p) => [
+      `"${p.url}"`,
+      p.depth,
+      `"${(p.title || '').replaceAll(/"/g, '""')}"`,
+      p.statusCode,
+      p.loadTime,
+      p.engine || '',
+      p.links?.length || 0,
+      p.images?.length || 0,
+      p.tables?.length || 0,
+      p.forms?.length || 0,
+      `"${p.form ? JSON.stringify(p.form.params).replaceAll(/"/g, '""') : ''}"`,
+      p.content?.language || '',
+      p.content?.length ?? '',
+      p.content?.simhash || '',
+      `"${duplicateOf.get(p.url) || ''}"`,
+      `"${p.screenshot?.file || ''}"`,
+      p.timestamp,
+    ]);
+
+    const csv = [headers.join(','), ...rows.map((r) => r.join(','))].join('\n');
+    fs.writeFileSync(this.file, csv);
+    return this.file;
+  }
+}
+
+// ── Streaming sinks ────────────────────────────────────────────────────────
+
+// One JSON object per line, tagged with `type`: crawl, page, error, summary.
+// A resumed run appends to the same file, so readers keep the last record per URL.
+class NdjsonSink {
+  constructor({ outputBase }) {
+    this.file = `${outputBase}.ndjson`;
+    this.buffered = false;
+    this.fd = null;
+  }
+
+  open(meta) {
+    const exists = fs.existsSync(this.file);
+    this.fd = fs.openSync(this.file, 'a');
+    this.write({ type: exists ? 'resume' : 'crawl', ...meta });
+  }
+
+  write(record) {
+    if (this.fd === null) return;
+    fs.writeSync(this.fd, `${JSON.stringify(record)}\n`);
+  }
+
+  writePage(page) {
+    this.write({ type: 'page', ...page });
+  }
+
+  writeError(error) {
+    this.write({ type: 'error', ...error });
+  }
+
+  close(output) {
+    if (this.fd === null) return this.file;
+    this.write({ type: 'summary', stats: output.stats, skipped: output.skipped, tableFiles: output.tableFiles, duplicates: output.duplicates });
+    fs.closeSync(this.fd);
+    this.fd = null;
+    return this.file;
+  }
+}
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    run_id TEXT PRIMARY KEY,
+    target_url TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT,
+    config TEXT,
+    stats TEXT
+  );
+  CREATE TABLE IF NOT EXISTS pages (
+    run_id TEXT NOT NULL REFERENCES runs(run_id),
+    url TEXT NOT NULL,
+    depth INTEGER,
+    title TEXT,
+    status_code INTEGER,
+    load_time INTEGER,
+    fingerprint TEXT,
+    crawled_at TEXT,
+    data TEXT,
+    PRIMARY KEY (run_id, url)
+  );
+  CREATE TABLE IF NOT EXISTS links (
+    run_id TEXT NOT NULL,
+    page_url TEXT NOT NULL,
+    href TEXT NOT NULL,
+    text TEXT
+  );
+  CREATE INDEX IF NOT EXISTS links_page ON links (run_id, page_url);
+  CREATE INDEX IF NOT EXISTS links_href ON links (href);
+  CREATE TABLE IF NOT EXISTS tables (
+    run_id TEXT NOT NULL,
+    page_url TEXT NOT NULL,
+    table_index INTEGER NOT NULL,
+    caption TEXT,
+    heading TEXT,
+    header_rows TEXT,
+    rows TEXT,
+    PRIMARY KEY (run_id, page_url, table_index)
+  );
+  CREATE TABLE IF NOT EXISTS errors (
+    run_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    error TEXT,
+    occurred_at TEXT
+  );
+`;
+
+// One database shared by every run, so results can be queried across runs
+class SqliteSink {
+  constructor({ sqliteFile, runId }) {
+    this.file = sqliteFile;
+    this.runId = runId;
+    this.buffered = false;
+    this.db = null;
+  }
+
+  open(meta) {
+    // Native module: only required when the sqlite sink is actually used. An
+    // install without its compiled binding only fails once a database opens.
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    try {
+      const Database = require('better-sqlite3');
+      this.db = new Database(this.file);
+    } catch (err) {
+      throw new Error(`SQLite output needs better-sqlite3 (${err.message})`);
+    }
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SQLITE_SCHEMA);
+
+    this.db.prepare(`
+      INSERT INTO runs (run_id, target_url, started_at, config) VALUES (?, ?, ?, ?)
+      ON CONFLICT(run_id) DO NOTHING
+    `).run(this.runId, meta.targetUrl, meta.startTime, JSON.stringify(meta.config));
+
+    const insertPage = this.db.prepare(`
+      INSERT OR REPLACE INTO pages (run_id, url, depth, title, status_code, load_time, fingerprint, crawled_at, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const deleteLinks = this.db.prepare('DELETE FROM links WHERE run_id = ? AND page_url = ?');
+    const insertLink = this.db.prepare('INSERT INTO links (run_id, page_url, href, text) VALUES (?, ?, ?, ?)');
+    const insertTable = this.db.prepare(`
+      INSERT OR REPLACE INTO tables (run_id, page_url, table_index, caption, heading, header_rows, rows)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    // A resumed run may re-crawl a page, so its rows are replaced, not duplicated
+    this.insertPage = this.db.transaction((page) => {
+      const { links = [], tables = [], ...rest } = page;
+      insertPage.run(
+        this.runId, page.url, page.depth, page.title, page.statusCode, page.loadTime,
+        page.fingerprint?.content || null, page.timestamp, JSON.stringify(rest),
+      );
+      deleteLinks.run(this.runId, page.url);
+      for (const link of links) insertLink.run(this.runId, page.url, link.href, link.text);
+      for (const table of tables) {
+        if (Array.isArray(table)) continue;
+        insertTable.run(
+          this.runId, page.url, table.index, table.caption, table.heading,
+          JSON.stringify(table.headerRows), JSON.stringify(table.rows),
+        );
+      }
+    });
+    this.insertError = this.db.prepare('INSERT INTO errors (run_id, url, error, occurred_at) VALUES (?, ?, ?, ?)');
+  }
+
+  writePage(page) {
+    if (!this.db) return;
+    this.insertPage(page);
+  }
+
+  writeError(error) {
+    if (!this.db) return;
+    this.insertError.run(this.runId, error.url, error.error, error.timestamp);
+  }
+
+  close(output) {
+    if (!this.db) return this.file;
+    this.db.prepare('UPDATE runs SET ended_at = ?, stats = ? WHERE run_id = ?')
+      .run(output.crawl.endTime, JSON.stringify(output.stats), this.runId);
+    this.db.close();
+    this.db = null;
+    return this.file;
+  }
+}
+
+// ── Factory ────────────────────────────────────────────────────────────────
+
+const SINKS = {
+  json: JsonSink,
+  csv: CsvSink,
+  ndjson: NdjsonSink,
+  sqlite: SqliteSink,
+};
+
+// "json,ndjson" → ['json', 'ndjson']; "both" is kept as an alias of json,csv
+function parseFormats(format) {
+  const formats = String(format)
+    .split(',')
+    .map((f) => f.trim().toLowerCase())
+    .filter(Boolean)
+    .flatMap((f) => (f === 'both' ? ['json', 'csv'] : [f]));
+
+  for (const f of formats) {
+    if (!SINKS[f]) {
+      throw new Error(`Unknown output format "${f}" (expected ${Object.keys(SINKS).join(', ')})`);
+    }
+  }
+  return [...new Set(formats)];
+}
+
+function createSinks(formats, options) {
+  return formats.map((f) => new SINKS[f](options));
+}
+
+module.exports = {
+  parseFormats,
+  createSinks,
+};
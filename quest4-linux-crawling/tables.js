@@ -0,0 +1,86 @@
+/**
+ * Per-table export for the Quest 4 crawler.
+ *
+ * Tables come out of extractPageData as span-resolved grids with their header
+ * rows split off. Each one big enough to be data is written as CSV and JSON
+ * into crawl-<runId>-tables/ as soon as its page is crawled; the returned
+ * index entries are embedded in the crawl report.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { urlSlug } = require('./screenshots');
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+// Multi-row headers collapse into one label per column ("Fee / Online");
+// repeated labels get a suffix so records keep every column
+function columnLabels(table) {
+  const seen = new Map();
+  return Array.from({ length: table.columnCount }, (_, i) => {
+    const parts = [];
+    for (const row of table.headerRows) {
+      const label = row[i];
+      if (label && label !== parts.at(-1)) parts.push(label);
+    }
+    const label = parts.join(' / ') || `column_${i + 1}`;
+    const count = (seen.get(label) || 0) + 1;
+    seen.set(label, count);
+    return count > 1 ? `${label}_${count}` : label;
+  });
+}
+
+// Writes one page's data tables and returns their index entries. Files are
+// named after the URL, so they are stable across runs and crawl order.
+function exportPageTables(page, dir, { minRows = 2, minColumns = 2 } = {}) {
+  const entries = [];
+
+  for (const table of page.tables || []) {
+    // Bare row arrays come from crawls resumed across the format change
+    if (Array.isArray(table)) continue;
+    if (table.rows.length < minRows || table.columnCount < minColumns) continue;
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    const name = `${urlSlug(page.url)}-t${String(table.index + 1).padStart(2, '0')}`;
+    const columns = columnLabels(table);
+    const csvFile = path.join(dir, `${name}.csv`);
+    const jsonFile = path.join(dir, `${name}.json`);
+
+    fs.writeFileSync(csvFile, toCsv([...table.headerRows, ...table.rows]));
+    fs.writeFileSync(jsonFile, JSON.stringify({
+      url: page.url,
+      pageTitle: page.title,
+      ...table,
+      columns,
+      records: table.rows.map((row) => Object.fromEntries(columns.map((c, i) => [c, row[i]]))),
+    }, null, 2));
+
+    entries.push({
+      url: page.url,
+      table: table.index,
+      frame: table.frame || null,
+      caption: table.caption,
+      heading: table.heading,
+      rows: table.rows.length,
+      columns: table.columnCount,
+      headerRows: table.headerRows.length,
+      csv: path.relative(path.dirname(dir), csvFile),
+      json: path.relative(path.dirname(dir), jsonFile),
+    });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  exportPageTables,
+  toCsv,
+};
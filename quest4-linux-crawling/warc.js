@@ -0,0 +1,481 @@
+/**
+ * WARC archiving and replay for the Quest 4 crawler.
+ *
+ * With --archive every HTTP exchange of a crawl is written to WARC 1.1 files:
+ * robots.txt, sitemaps and fast-path fetches (including each redirect hop and
+ * frame document), and everything Chromium loads for escalated pages. Each
+ * response record is paired with its request record (WARC-Concurrent-To) and
+ * carries SHA-1 block and payload digests. Records are gzipped one by one, so
+ * the files work with standard WARC tools.
+ *
+ * Bodies are archived as the server sent them, minus the transfer and content
+ * codings that fetch() and Chromium remove; the original Content-Encoding is
+ * kept as X-Archive-Orig-Content-Encoding, as other archivers do.
+ *
+ * --replay loads WARC files back into a WarcArchive, which answers the
+ * crawler's requests (fetch() and Puppeteer interception) from the archive, so
+ * extraction can be re-run without touching the network.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const WARC_VERSION = 'WARC/1.1';
+const MAX_REDIRECTS = 20;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Responses that must not have a body (the Response constructor enforces it)
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// ── Records ────────────────────────────────────────────────────────────────
+
+const recordId = () => `<urn:uuid:${crypto.randomUUID()}>`;
+
+// RFC 4648 base32, the customary encoding of WARC SHA-1 digests
+function base32(buffer) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += alphabet[(value << (5 - bits)) & 31];
+  return out;
+}
+
+const sha1 = (buffer) => `sha1:${base32(crypto.createHash('sha1').update(buffer).digest())}`;
+
+// headers: [name, value] pairs; Puppeteer joins repeated headers with "\n"
+function httpBlock(startLine, headers, body) {
+  const lines = [startLine];
+  for (const [name, value] of headers) {
+    for (const part of String(value).split('\n')) lines.push(`${name}: ${part}`);
+  }
+  return Buffer.concat([Buffer.from(`${lines.join('\r\n')}\r\n\r\n`), body]);
+}
+
+// The body we hold is already decoded, so the headers must describe it
+function archivedHeaders(headers, body) {
+  const out = [];
+  for (const [name, value] of headers) {
+    const lower = name.toLowerCase();
+    if (lower === 'transfer-encoding' || lower === 'content-length') continue;
+    out.push(lower === 'content-encoding' ? [`X-Archive-Orig-${name}`, value] : [name, value]);
+  }
+  out.push(['Content-Length', String(body.length)]);
+  return out;
+}
+
+function buildRecord(fields, block) {
+  const head = Object.entries({ ...fields, 'Content-Length': block.length })
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}: ${value}`);
+  return Buffer.concat([
+    Buffer.from(`${WARC_VERSION}\r\n${head.join('\r\n')}\r\n\r\n`),
+    block,
+    Buffer.from('\r\n\r\n'),
+  ]);
+}
+
+// warcinfo and metadata payloads: "name: value" lines
+function formatFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}: ${value}\r\n`)
+    .join('');
+}
+
+function parseFields(text) {
+  const fields = {};
+  for (const line of text.split(/\r?\n/)) {
+    const sep = line.indexOf(':');
+    if (sep > 0) fields[line.slice(0, sep).trim()] = line.slice(sep + 1).trim();
+  }
+  return fields;
+}
+
+// Follows redirects one hop at a time through fetchOnce, so every hop is seen.
+// Responses built by hand have no url, so the final one is set on them.
+async function followRedirects(fetchOnce, url, init = {}) {
+  if (init.redirect === 'manual') return fetchOnce(url, init);
+
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const res = await fetchOnce(current, init);
+    const location = res.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(res.status) || !location) {
+      Object.defineProperty(res, 'url', { value: current });
+      return res;
+    }
+    current = new URL(location, current).toString();
+  }
+  // Same shape as undici's error, which classifyFailure() treats as permanent
+  throw new TypeError('fetch failed', { cause: new Error('redirect count exceeded') });
+}
+
+function toResponse({ status, statusText, headers, body }) {
+  return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status, statusText, headers });
+}
+
+// ── Writer ─────────────────────────────────────────────────────────────────
+
+class WarcWriter {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.prefix = options.prefix || 'crawl';
+    this.maxFileSize = options.maxFileSize || 100 * 1024 * 1024;
+    this.gzip = options.gzip !== false;
+    this.info = options.info || {};
+    this.logger = options.logger;
+
+    this.fd = null;
+    this.file = null;
+    this.fileBytes = 0;
+    this.warcinfoId = null;
+    this.files = [];
+    this.records = 0;
+    this.bytes = 0;
+    this.pendingByPage = new Map();
+  }
+
+  // A resumed run appends new files instead of reopening old ones
+  nextFile() {
+    const ext = this.gzip ? '.warc.gz' : '.warc';
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (let index = 0; ; index++) {
+      const file = path.join(this.dir, `${this.prefix}-${String(index).padStart(5, '0')}${ext}`);
+      if (!fs.existsSync(file)) return file;
+    }
+  }
+
+  openFile() {
+    this.file = this.nextFile();
+    this.fd = fs.openSync(this.file, 'a');
+    this.fileBytes = 0;
+    this.files.push(path.basename(this.file));
+    this.logger?.info(`WARC: ${this.file}`);
+
+    this.warcinfoId = recordId();
+    const block = Buffer.from(formatFields({
+      software: 'quest4-linux-crawling',
+      format: 'WARC File Format 1.1',
+      conformsTo: 'https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+      ...this.info,
+    }));
+    this.write(buildRecord({
+      'WARC-Type': 'warcinfo',
+      'WARC-Record-ID': this.warcinfoId,
+      'WARC-Date': new Date().toISOString(),
+      'WARC-Filename': path.basename(this.file),
+      'Content-Type': 'application/warc-fields',
+    }, block));
+  }
+
+  // Writes are synchronous, so records from concurrent workers never interleave
+  write(record) {
+    const data = this.gzip ? zlib.gzipSync(record) : record;
+    fs.writeSync(this.fd, data);
+    this.fileBytes += data.length;
+    this.bytes += data.length;
+    this.records++;
+  }
+
+  // exchange: { url, method, requestHeaders, requestBody, status, statusText,
+  //             responseHeaders, body, ip, date }; headers as [name, value] pairs
+  writeExchange(exchange) {
+    if (!/^https?:/.test(exchange.url)) return;
+    if (this.fd === null || this.fileBytes >= this.maxFileSize) {
+      this.close();
+      this.openFile();
+    }
+
+    const url = new URL(exchange.url);
+    const date = (exchange.date || new Date()).toISOString();
+    const body = exchange.body || Buffer.alloc(0);
+    const responseId = recordId();
+
+    const responseBlock = httpBlock(
+      `HTTP/1.1 ${exchange.status} ${exchange.statusText || ''}`.trimEnd(),
+      archivedHeaders(exchange.responseHeaders, body),
+      body,
+    );
+    this.write(buildRecord({
+      'WARC-Type': 'response',
+      'WARC-Record-ID': responseId,
+      'WARC-Date': date,
+      'WARC-Target-URI': url.href,
+      'WARC-Warcinfo-ID': this.warcinfoId,
+      'WARC-IP-Address': exchange.ip || null,
+      'WARC-Payload-Digest': sha1(body),
+      'WARC-Block-Digest': sha1(responseBlock),
+      'Content-Type': 'application/http;msgtype=response',
+    }, responseBlock));
+
+    const requestBody = exchange.requestBody ? Buffer.from(exchange.requestBody) : Buffer.alloc(0);
+    const requestHeaders = exchange.requestHeaders.filter(([name]) => name.toLowerCase() !== 'host');
+    const requestBlock = httpBlock(
+      `${exchange.method || 'GET'} ${url.pathname}${url.search} HTTP/1.1`,
+      [['Host', url.host], ...requestHeaders],
+      requestBody,
+    );
+    this.write(buildRecord({
+      'WARC-Type': 'request',
+      'WARC-Record-ID': recordId(),
+      'WARC-Date': date,
+      'WARC-Target-URI': url.href,
+      'WARC-Warcinfo-ID': this.warcinfoId,
+      'WARC-Concurrent-To': responseId,
+      'WARC-Block-Digest': sha1(requestBlock),
+      'Content-Type': 'application/http;msgtype=request',
+    }, requestBlock));
+  }
+
+  // A fetch() that archives every exchange, redirect hops included
+  recordingFetch(fetchImpl = fetch) {
+    const fetchOnce = async (url, init) => {
+      const res = await fetchImpl(url, { ...init, redirect: 'manual' });
+      const body = Buffer.from(await res.arrayBuffer());
+      this.writeExchange({
+        url,
+        method: init.method || 'GET',
+        requestHeaders: Array.from(new Headers(init.headers)),
+        requestBody: init.body,
+        status: res.status,
+        statusText: res.statusText,
+        responseHeaders: Array.from(res.headers),
+        body,
+      });
+      return toResponse({ status: res.status, statusText: res.statusText, headers: res.headers, body });
+    };
+    return (url, init) => followRedirects(fetchOnce, String(url), init);
+  }
+
+  // ── Puppeteer pages ────────────────────────────────────────────────────
+
+  // Records every response the page receives; flush() before closing the page
+  attach(page) {
+    const pending = [];
+    this.pendingByPage.set(page, pending);
+    page.on('response', (response) => {
+      pending.push(this.captureResponse(response).catch((err) => {
+        this.logger?.debug(`  WARC: could not archive ${response.url()}: ${err.message}`);
+      }));
+    });
+  }
+
+  async captureResponse(response) {
+    const request = response.request();
+    const status = response.status();
+    // Redirects have no body Chromium can hand back
+    const hasBody = !REDIRECT_STATUSES.includes(status) && !NULL_BODY_STATUSES.includes(status);
+    const body = hasBody ? await response.buffer().catch(() => Buffer.alloc(0)) : Buffer.alloc(0);
+    this.writeExchange({
+      url: response.url(),
+      method: request.method(),
+      requestHeaders: Object.entries(request.headers()),
+      requestBody: request.postData(),
+      status,
+      statusText: response.statusText(),
+      responseHeaders: Object.entries(response.headers()),
+      body,
+      ip: response.remoteAddress()?.ip,
+    });
+  }
+
+  async flush(page) {
+    const pending = this.pendingByPage.get(page);
+    if (!pending) return;
+    this.pendingByPage.delete(page);
+    await Promise.all(pending);
+  }
+
+  close() {
+    if (this.fd === null) return;
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  summary() {
+    return { dir: this.dir, files: this.files, records: this.records, bytes: this.bytes };
+  }
+}
+
+// ── Reader ─────────────────────────────────────────────────────────────────
+
+// Yields { fields, block } for every record; .warc.gz members are concatenated
+function* readRecords(file) {
+  let data = fs.readFileSync(file);
+  if (data[0] === 0x1f && data[1] === 0x8b) data = zlib.gunzipSync(data);
+
+  let offset = 0;
+  while (offset < data.length) {
+    const headEnd = data.indexOf('\r\n\r\n', offset);
+    if (headEnd === -1) break;
+    const [version, ...lines] = data.subarray(offset, headEnd).toString('utf8').split('\r\n');
+    if (!version.startsWith('WARC/')) {
+      throw new Error(`${file}: no WARC record at byte ${offset}`);
+    }
+    const fields = parseFields(lines.join('\n'));
+    const length = Number(fields['Content-Length']);
+    const blockStart = headEnd + 4;
+    yield { fields, block: data.subarray(blockStart, blockStart + length) };
+    offset = blockStart + length + 4;
+  }
+}
+
+function parseHttpResponse(block) {
+  const headEnd = block.indexOf('\r\n\r\n');
+  const head = block.subarray(0, headEnd === -1 ? block.length : headEnd).toString('latin1');
+  const [statusLine, ...lines] = head.split('\r\n');
+  const match = statusLine.match(/^HTTP\/[\d.]+\s+(\d{3})\s*(.*)$/);
+  if (!match) throw new Error(`bad status line "${statusLine}"`);
+
+  const headers = [];
+  for (const line of lines) {
+    const sep = line.indexOf(':');
+    if (sep > 0) headers.push([line.slice(0, sep).trim(), line.slice(sep + 1).trim()]);
+  }
+  return {
+    status: Number(match[1]),
+    statusText: match[2],
+    headers,
+    body: headEnd === -1 ? Buffer.alloc(0) : block.subarray(headEnd + 4),
+  };
+}
+
+// Same key for "http://host" and "http://host/"; fragments never reach the
+// server. POSTs (form submissions) to one URL differ by their body.
+function archiveKey(url, { method = 'GET', body = null } = {}) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return method === 'POST' ? `POST ${parsed.href}\n${body ?? ''}` : parsed.href;
+}
+
+// Method and body of a request record
+function parseHttpRequest(block) {
+  const headEnd = block.indexOf('\r\n\r\n');
+  const requestLine = block.subarray(0, headEnd === -1 ? block.length : headEnd).toString('latin1').split('\r\n')[0];
+  return {
+    method: requestLine.split(' ')[0],
+    body: headEnd === -1 ? '' : block.subarray(headEnd + 4).toString('utf8'),
+  };
+}
+
+// Shaped like a fetch() network error so classifyFailure() sees the code
+function notInArchive(url) {
+  const cause = new Error('not archived');
+  cause.code = 'ERR_NOT_IN_ARCHIVE';
+  return new TypeError(`Not in archive: ${url}`, { cause });
+}
+
+// ── Replay ─────────────────────────────────────────────────────────────────
+
+class WarcArchive {
+  constructor() {
+    this.responses = new Map();
+    this.files = [];
+    this.info = {};
+  }
+
+  // Files and directories (every .warc / .warc.gz inside, in name order)
+  static load(paths) {
+    const archive = new WarcArchive();
+    const files = paths.flatMap((p) => {
+      if (!fs.statSync(p).isDirectory()) return [p];
+      return fs.readdirSync(p)
+        .filter((name) => /\.warc(\.gz)?$/.test(name))
+        .sort()
+        .map((name) => path.join(p, name));
+    });
+    if (files.length === 0) throw new Error(`No WARC files in ${paths.join(', ')}`);
+
+    for (const file of files) archive.addFile(file);
+    return archive;
+  }
+
+  addFile(file) {
+    this.files.push(file);
+    // Response records, until their request record shows whether they were POSTs
+    const byRecordId = new Map();
+    for (const { fields, block } of readRecords(file)) {
+      const type = fields['WARC-Type'];
+      const uri = fields['WARC-Target-URI'];
+      if (type === 'warcinfo' && Object.keys(this.info).length === 0) {
+        this.info = parseFields(block.toString('utf8'));
+      } else if (type === 'response' && uri) {
+        // A URL fetched twice (fast path, then Chromium) replays its last response
+        const key = archiveKey(uri);
+        const response = parseHttpResponse(block);
+        byRecordId.set(fields['WARC-Record-ID'], { key, response, replaced: this.responses.get(key) });
+        this.responses.set(key, response);
+      } else if (type === 'request' && uri) {
+        const pending = byRecordId.get(fields['WARC-Concurrent-To']);
+        const request = parseHttpRequest(block);
+        if (!pending || request.method !== 'POST') continue;
+        // Move it to its POST key; a GET of the same URL keeps its own response
+        if (pending.replaced) this.responses.set(pending.key, pending.replaced);
+        else this.responses.delete(pending.key);
+        this.responses.set(archiveKey(uri, request), pending.response);
+      }
+    }
+  }
+
+  get targetUrl() {
+    return this.info['target-url'] || null;
+  }
+
+  // request: { method, body } for POSTs
+  lookup(url, request = {}) {
+    try {
+      return this.responses.get(archiveKey(url, request)) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // A fetch() that answers from the archive and fails for anything else
+  replayFetch() {
+    const fetchOnce = async (url, init = {}) => {
+      const record = this.lookup(url, init);
+      if (!record) throw notInArchive(url);
+      // The archived body is decoded; its Content-Length may be the original one
+      const headers = record.headers.filter(([name]) => name.toLowerCase() !== 'content-length');
+      return toResponse({ ...record, headers });
+    };
+    return (url, init) => followRedirects(fetchOnce, String(url), init);
+  }
+
+  // Puppeteer request interception handler: fulfil from the archive or fail
+  respond(request) {
+    const record = this.lookup(request.url(), { method: request.method(), body: request.postData() });
+    if (!record) {
+      request.abort('internetdisconnected');
+      return;
+    }
+    const headers = {};
+    for (const [name, value] of record.headers) {
+      if (name.toLowerCase() === 'content-length') continue;
+      headers[name] = headers[name] ? `${headers[name]}\n${value}` : value;
+    }
+    request.respond({ status: record.status, headers, body: record.body });
+  }
+
+  summary() {
+    return { files: this.files, responses: this.responses.size, targetUrl: this.targetUrl };
+  }
+}
+
+module.exports = {
+  WarcWriter,
+  WarcArchive,
+  readRecords,
+  parseHttpResponse,
+  notInArchive,
+};
@@ -0,0 +1,125 @@
+/**
+ * Logger shared by all quests.
+ *
+ * Every process gets a run ID that is attached to each log entry, so the
+ * entries of one run can be pulled out of a shared log file. The console
+ * keeps the human-readable format; files get one JSON object per line,
+ * rotated daily (or hourly) and when they grow past a size limit. Old log
+ * files are pruned by the retention policy whenever a logger is created.
+ *
+ * A process started by another run (a scheduled crawl) finds the parent's
+ * run ID in QUEST_PARENT_RUN_ID and records it as parentRunId.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const winston = require('winston');
+require('winston-daily-rotate-file');
+const { pruneLogs } = require('./retention');
+
+const PARENT_RUN_ENV = 'QUEST_PARENT_RUN_ID';
+
+const DEFAULTS = {
+  dir: path.resolve(__dirname, '../output/logs'),
+  datePattern: 'YYYY-MM-DD', // one file per day; 'YYYY-MM-DD-HH' rotates hourly
+  maxSize: '20m', // a file past this size rolls over to .1, .2, ...
+  retention: { maxAgeDays: 30, maxCount: null },
+};
+
+function createRunId(date = new Date()) {
+  return date.toISOString().replaceAll(/[:.]/g, '-');
+}
+
+// ── Formats ────────────────────────────────────────────────────────────────
+
+const consoleFormat = winston.format.combine(
+  winston.format.colorize(),
+  winston.format.printf(({ timestamp: ts, level, message }) => `[${ts}] [${level}] ${message}`),
+);
+
+// { timestamp, level, quest, runId, message, ...meta } — a stable key order
+// keeps the files readable with plain grep
+const jsonLineFormat = winston.format.printf(({ timestamp: ts, level, quest, runId, parentRunId, message, ...meta }) => {
+  return JSON.stringify({ timestamp: ts, level, quest, runId, parentRunId, message, ...meta });
+});
+
+// ── Logger ─────────────────────────────────────────────────────────────────
+
+// quest: recorded in every entry ('quest4'); name: log file prefix ('crawl')
+//
+// The files are written asynchronously, so process.exit() drops whatever is
+// still queued, often the very error that ended the run. Fail by setting
+// process.exitCode and returning; a process that cannot wait for its work
+// to end goes through closeLogger() first.
+function createLogger({
+  quest,
+  name = quest,
+  runId = createRunId(),
+  dir = DEFAULTS.dir,
+  level = process.env.DEBUG === 'true' ? 'debug' : 'info',
+  datePattern = DEFAULTS.datePattern,
+  maxSize = DEFAULTS.maxSize,
+  retention = DEFAULTS.retention,
+} = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Before the new transports open today's files
+  const pruned = pruneLogs(dir, retention);
+
+  const rotating = (suffix, options = {}) => new winston.transports.DailyRotateFile({
+    dirname: dir,
+    filename: `${name}${suffix}-%DATE%.jsonl`,
+    datePattern,
+    maxSize,
+    // Retention is ours: one policy for every file in the directory
+    maxFiles: null,
+    format: jsonLineFormat,
+    ...options,
+  });
+
+  const logger = winston.createLogger({
+    level,
+    defaultMeta: { quest, runId, parentRunId: process.env[PARENT_RUN_ENV] || undefined },
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.errors({ stack: true }),
+    ),
+    transports: [
+      new winston.transports.Console({ format: consoleFormat }),
+      rotating(''),
+      rotating('-error', { level: 'error' }),
+    ],
+  });
+
+  logger.runId = runId;
+  logger.logDir = dir;
+  if (pruned.length > 0) logger.debug(`Pruned ${pruned.length} old log file(s) from ${dir}`);
+  return logger;
+}
+
+// Resolves once every entry logged so far is in the log files, for a process
+// that has to exit while other work may still be logging. Entries logged
+// after this are dropped rather than failing with "write after end".
+function closeLogger(logger) {
+  // The transports are unpiped on end, and the files are only flushed after
+  const files = logger.transports.filter((t) => t.logStream);
+  const flushed = Promise.all(files.map((t) => new Promise((resolve) => t.logStream.once('finish', resolve))));
+  logger.on('error', (err) => {
+    if (err.code !== 'ERR_STREAM_WRITE_AFTER_END') throw err;
+  });
+  logger.end();
+  return flushed;
+}
+
+// Environment for child processes, so their entries point back to this run
+function childEnv(logger) {
+  return { ...process.env, [PARENT_RUN_ENV]: logger.runId };
+}
+
+module.exports = {
+  DEFAULTS,
+  PARENT_RUN_ENV,
+  createRunId,
+  createLogger,
+  closeLogger,
+  childEnv,
+};
@@ -0,0 +1,110 @@
+/**
+ * Retention policy shared by all quests.
+ *
+ * Old log files and old crawl outputs are pruned by age, by count, or both:
+ * anything older than maxAgeDays goes, and of the rest only the newest
+ * maxCount are kept. A null limit is not applied. Crawl outputs are grouped
+ * by the run ID in their name, so a run's data, tables, screenshots and WARC
+ * files are always removed together. A run that still has a checkpoint is
+ * kept, so it can be resumed.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Run IDs are ISO timestamps made file-name safe: 2026-10-19T14-41-33-537Z
+const RUN_ID_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z/;
+
+// An interrupted crawl's checkpoint (crawl-<runId>.state.json); its run is
+// kept until it is resumed and completes, which removes the file
+const CHECKPOINT_PATTERN = /\.state\.json$/;
+
+// Active logs plus size-rotated siblings (crawl-2026-10-19.jsonl.1)
+const LOG_FILE_PATTERN = /\.(log|jsonl)(\.\d+)?(\.gz)?$/;
+
+function runIdTime(runId) {
+  const [, date, h, m, s, ms] = runId.match(/^(.+)T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  return Date.parse(`${date}T${h}:${m}:${s}.${ms}Z`);
+}
+
+// ── Policy ─────────────────────────────────────────────────────────────────
+
+// entries: [{ key, time, paths }]; returns the entries the policy drops
+function expiredEntries(entries, { maxAgeDays = null, maxCount = null, now = Date.now() } = {}) {
+  const newestFirst = [...entries].sort((a, b) => b.time - a.time);
+  return newestFirst.filter((entry, i) => {
+    if (maxAgeDays !== null && now - entry.time > maxAgeDays * DAY_MS) return true;
+    return maxCount !== null && i >= maxCount;
+  });
+}
+
+function removeEntries(entries) {
+  for (const entry of entries) {
+    for (const p of entry.paths) fs.rmSync(p, { recursive: true, force: true });
+  }
+}
+
+// ── Logs ───────────────────────────────────────────────────────────────────
+
+// Every log file counts on its own, by modification time
+function pruneLogs(dir, policy = {}) {
+  if (!fs.existsSync(dir)) return [];
+  const entries = fs.readdirSync(dir)
+    .filter((name) => LOG_FILE_PATTERN.test(name))
+    .map((name) => {
+      const file = path.join(dir, name);
+      return { key: name, time: fs.statSync(file).mtimeMs, paths: [file] };
+    });
+
+  const expired = expiredEntries(entries, policy);
+  removeEntries(expired);
+  return expired;
+}
+
+// ── Run outputs ────────────────────────────────────────────────────────────
+
+// Files and directories named after a run, across several directories
+// (the output dir itself, screenshots/, warc/), grouped per run ID
+function collectRuns(dirs) {
+  const runs = new Map();
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir)) {
+      const runId = name.match(RUN_ID_PATTERN)?.[0];
+      if (!runId) continue;
+      if (!runs.has(runId)) runs.set(runId, { key: runId, time: runIdTime(runId), paths: [] });
+      runs.get(runId).paths.push(path.join(dir, name));
+    }
+  }
+  return Array.from(runs.values());
+}
+
+// keep: run IDs that are never pruned (the current run, a run being resumed);
+// runs with a checkpoint are never pruned either
+function pruneRuns(dirs, policy = {}, { keep = [] } = {}) {
+  const all = collectRuns(dirs);
+  const kept = new Set(keep);
+  for (const run of all) {
+    if (run.paths.some((p) => CHECKPOINT_PATTERN.test(p))) kept.add(run.key);
+  }
+  const runs = all.filter((run) => !kept.has(run.key));
+  // The kept runs still count towards maxCount
+  const maxCount = policy.maxCount ?? null;
+  const expired = expiredEntries(runs, {
+    ...policy,
+    maxCount: maxCount === null ? null : Math.max(maxCount - kept.size, 0),
+  });
+  removeEntries(expired);
+  return expired;
+}
+
+module.exports = {
+  RUN_ID_PATTERN,
+  runIdTime,
+  expiredEntries,
+  pruneLogs,
+  collectRuns,
+  pruneRuns,
+};